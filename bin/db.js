@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+const yargs = require('yargs');
+const Storage = require('../src/db/storage');
+const Config = require('../src/utils/config');
+const Output = require('../src/utils/output');
+const logger = require('../src/utils/logger');
+
+// Columns of the migration list, in display order
+const STATUS_COLUMNS = ['version', 'name', 'status', 'applied_at'];
+
+/**
+ * Run a db subcommand against the local database, without migrating it on open, and exit
+ * @param {Function} handler - Async function receiving the storage
+ */
+async function run(handler) {
+  const storage = new Storage({ migrate: false });
+  let exitCode = 0;
+
+  try {
+    await storage.ready;
+    await handler(storage);
+  } catch (error) {
+    logger.error(`Error in db: ${error.message}`);
+    exitCode = 1;
+  } finally {
+    storage.close();
+  }
+
+  process.exitCode = exitCode;
+}
+
+/**
+ * Add the db subcommands
+ * @param {Object} y - Yargs instance
+ * @returns {Object} Yargs instance
+ */
+function builder(y) {
+  return y
+    .command('migrate', 'Apply pending schema migrations', () => {}, () => run(async (storage) => {
+      const applied = await storage.migrate();
+
+      if (applied.length === 0) {
+        logger.info('Database schema is up to date, no migrations applied');
+        return;
+      }
+      logger.info(`Applied ${applied.length} migrations: ${applied.map(migration => migration.version).join(', ')}`);
+    }))
+    .command('status', 'List schema migrations and whether they are applied', () => {}, () => run(async (storage) => {
+      const migrations = await storage.getSchemaStatus();
+      const pending = migrations.filter(migration => migration.status === 'pending');
+
+      console.log(Output.formatTable(migrations, STATUS_COLUMNS));
+      if (pending.length > 0) {
+        logger.warn(`${pending.length} migrations pending; they are applied by the next command that opens the database, or run: harvest-kimai db migrate`);
+      }
+    }))
+    .demandCommand(1, 'You must specify a db command');
+}
+
+// Registered as harvest-kimai db, and still runs on its own as: yarn run db
+module.exports = {
+  command: 'db',
+  describe: 'Show and apply schema migrations of the local database',
+  builder
+};
+
+if (require.main === module) {
+  builder(yargs.usage('Usage: $0 <command>').options(Config.cliOptions).middleware(Config.loadFromArgs))
+    .strict()
+    .help()
+    .argv;
+}
@@ -0,0 +1,485 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const yargs = require('yargs');
+const HarvestExtractor = require('../src/harvest/extract');
+const KimaiImporter = require('../src/kimai/import');
+const Storage = require('../src/db/storage');
+const DateUtils = require('../src/utils/date');
+const Config = require('../src/utils/config');
+const Output = require('../src/utils/output');
+const logger = require('../src/utils/logger');
+const mapCommand = require('./map');
+const dbCommand = require('./db');
+const historyCommand = require('./history');
+const reconcileCommand = require('./reconcile');
+const reportCommand = require('./report');
+
+// Exit codes shared by all commands
+const ExitCode = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  PARTIAL: 3
+};
+
+// Columns of the per-entry import report, in display order
+const REPORT_COLUMNS = ['harvest_id', 'date', 'user', 'action', 'begin', 'end', 'time_source', 'project', 'activity', 'description', 'kimai_id', 'skip_reason'];
+
+// Columns of an export for Kimai's importer, with the timesheet field each is filled from
+const IMPORTER_COLUMNS = {
+  Date: 'date',
+  From: 'from',
+  To: 'to',
+  Duration: 'duration',
+  Customer: 'customer_name',
+  Project: 'project_name',
+  Activity: 'activity_name',
+  User: 'user_name',
+  Description: 'description',
+  Billable: 'billable',
+  'Hourly rate': 'hourlyRate',
+  'Fixed rate': 'fixedRate',
+  'Internal rate': 'internalRate',
+  Tags: 'tags'
+};
+
+// Fields of a JSON export, in order
+const EXPORT_COLUMNS = ['harvest_id', 'begin', 'end', 'project', 'activity', 'user', 'user_name', 'description', 'tags', 'billable', 'hourlyRate', 'fixedRate', 'internalRate', 'customer_name', 'project_name', 'activity_name'];
+
+// Columns of the entry state counts, in display order
+const STATUS_COLUMNS = ['state', 'entries'];
+
+// States of entries that are not in Kimai yet
+const OUTSTANDING_STATES = [
+  Storage.EntryState.PENDING,
+  Storage.EntryState.SKIPPED_UNMAPPED,
+  Storage.EntryState.FAILED_RETRYABLE,
+  Storage.EntryState.FAILED_PERMANENT
+];
+
+/**
+ * Run a command, closing every storage it opened, and set the exit code
+ * @param {String} command - Command name, for error messages
+ * @param {Function} handler - Async function receiving an `open` function to register storages with, resolving with an exit code
+ */
+async function run(command, handler) {
+  const storages = [];
+  const open = (storage) => {
+    storages.push(storage);
+    return storage;
+  };
+  let exitCode = ExitCode.OK;
+
+  try {
+    exitCode = await handler(open);
+  } catch (error) {
+    logger.error(`Error in ${command}: ${error.message}`);
+    exitCode = ExitCode.ERROR;
+  } finally {
+    storages.forEach(storage => storage.close());
+  }
+
+  process.exitCode = exitCode;
+}
+
+/**
+ * Add the date range options
+ * @param {Object} y - Yargs instance
+ * @param {String} purpose - What the range limits, for the help text
+ * @returns {Object} Yargs instance
+ */
+function rangeOptions(y, purpose) {
+  return y
+    .option('from', {
+      describe: `Start date (YYYY-MM-DD) of the entries to ${purpose}`,
+      type: 'string'
+    })
+    .option('to', {
+      describe: 'End date (YYYY-MM-DD), defaults to --from',
+      type: 'string'
+    })
+    .option('current-month', {
+      describe: `${purpose[0].toUpperCase()}${purpose.slice(1)} entries of the current month`,
+      type: 'boolean'
+    })
+    .option('yesterday', {
+      describe: `${purpose[0].toUpperCase()}${purpose.slice(1)} entries of yesterday`,
+      type: 'boolean'
+    })
+    .conflicts('current-month', ['from', 'to', 'yesterday'])
+    .conflicts('yesterday', ['from', 'to'])
+    .check((argv) => {
+      if (argv.from && !DateUtils.isValidDate(argv.from)) {
+        throw new Error('From date must be in YYYY-MM-DD format');
+      }
+      if (argv.to && !DateUtils.isValidDate(argv.to)) {
+        throw new Error('To date must be in YYYY-MM-DD format');
+      }
+      if (argv.to && !argv.from) {
+        throw new Error('--to requires --from');
+      }
+
+      return true;
+    });
+}
+
+/**
+ * Get the date range selected on the command line
+ * @param {Object} argv - Parsed arguments
+ * @returns {{from: string|null, to: string|null}} Date range, or nulls when none was given
+ */
+function getDateRange(argv) {
+  if (argv['current-month']) {
+    return DateUtils.getCurrentMonth(Config.getTimezone());
+  }
+  if (argv.yesterday) {
+    return DateUtils.getYesterday(Config.getTimezone());
+  }
+  if (argv.from) {
+    return { from: argv.from, to: argv.to || argv.from };
+  }
+  return { from: null, to: null };
+}
+
+/**
+ * Add the options of extraction
+ * @param {Object} y - Yargs instance
+ * @returns {Object} Yargs instance
+ */
+function extractOptions(y) {
+  return rangeOptions(y, 'extract')
+    .option('incremental', {
+      describe: 'Only extract entries updated since the last successful extraction',
+      type: 'boolean'
+    })
+    .option('backfill', {
+      describe: 'The date range holds all entries to keep in sync: --incremental continues from this extraction',
+      type: 'boolean'
+    })
+    .option('csv', {
+      describe: 'Extract entries from a Harvest Detailed Time Report CSV export instead of the API',
+      type: 'string'
+    })
+    .conflicts('csv', ['from', 'to', 'current-month', 'yesterday', 'incremental', 'backfill'])
+    .conflicts('incremental', 'backfill')
+    .check((argv) => {
+      if (!argv.from && !argv['current-month'] && !argv.yesterday && !argv.incremental && !argv.csv) {
+        throw new Error('You must specify a date range using --from/--to, --current-month, --yesterday, or use --incremental or --csv');
+      }
+
+      return true;
+    });
+}
+
+/**
+ * Add the options of import
+ * @param {Object} y - Yargs instance
+ * @returns {Object} Yargs instance
+ */
+function importOptions(y) {
+  return y
+    .option('dry-run', {
+      describe: 'Show the timesheets that would be sent to Kimai without sending them',
+      type: 'boolean'
+    })
+    .option('on-deleted', {
+      describe: 'What to do with Kimai timesheets whose Harvest entry was deleted',
+      choices: ['report', 'delete'],
+      default: 'report'
+    })
+    .option('create-missing', {
+      describe: 'Create missing Kimai customers, projects and activities from Harvest names',
+      type: 'boolean'
+    })
+    .option('retry-failed', {
+      describe: 'Only retry entries whose previous import failed for a temporary reason',
+      type: 'boolean'
+    })
+    .option('clear-state', {
+      describe: 'Put all entries in this state back to pending before importing',
+      choices: [Storage.EntryState.FAILED_PERMANENT, Storage.EntryState.FAILED_RETRYABLE, Storage.EntryState.SKIPPED_UNMAPPED, Storage.EntryState.EXPORTED]
+    })
+    .option('max-attempts', {
+      describe: 'Stop retrying an entry after this many failed attempts (default 5)',
+      type: 'number'
+    })
+    .option('user', {
+      describe: 'Only import the entries of this Harvest user (ID or name)',
+      type: 'string'
+    })
+    .option('report', {
+      describe: 'Print the per-entry report after the run (disable with --no-report)',
+      type: 'boolean',
+      default: true
+    })
+    .option('output', {
+      alias: 'o',
+      describe: 'Write the per-entry report to a file (.csv or .json)',
+      type: 'string'
+    });
+}
+
+/**
+ * Get the importer options selected on the command line
+ * @param {Object} argv - Parsed arguments
+ * @returns {Object} Options for KimaiImporter
+ */
+function getImportOptions(argv) {
+  return {
+    dryRun: argv['dry-run'],
+    onDeleted: argv['on-deleted'],
+    createMissing: argv['create-missing'],
+    retryFailed: argv['retry-failed'],
+    clearState: argv['clear-state'],
+    maxAttempts: argv['max-attempts'],
+    user: argv.user
+  };
+}
+
+/**
+ * Print the per-entry report of an import or export, and write it when --output is given
+ * @param {Object} argv - Parsed arguments
+ * @param {Array<Object>} entries - Report rows
+ */
+function showReport(argv, entries) {
+  if (argv.report && entries.length > 0) {
+    console.log(Output.formatTable(entries, REPORT_COLUMNS));
+  }
+  if (argv.output) {
+    Output.writeFile(argv.output, entries, REPORT_COLUMNS);
+    logger.info(`Wrote report for ${entries.length} entries to ${argv.output}`);
+  }
+}
+
+/**
+ * Write exported timesheets as JSON for .json files, and as CSV for Kimai's importer otherwise
+ * @param {String} filePath - Destination file
+ * @param {Array<Object>} timesheets - Exported timesheets
+ */
+function writeExport(filePath, timesheets) {
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    Output.writeFile(filePath, timesheets, EXPORT_COLUMNS);
+    return;
+  }
+
+  const rows = timesheets.map(timesheet =>
+    Object.fromEntries(Object.entries(IMPORTER_COLUMNS).map(([column, field]) => [column, timesheet[field]]))
+  );
+  Output.writeFile(filePath, rows, Object.keys(IMPORTER_COLUMNS));
+}
+
+/**
+ * Extract entries from Harvest or a CSV export as selected on the command line
+ * @param {HarvestExtractor} extractor - Extractor to use
+ * @param {Object} argv - Parsed arguments
+ * @returns {Promise<void>}
+ */
+async function extract(extractor, argv) {
+  if (argv.csv) {
+    const result = await extractor.extractCsvEntries(argv.csv);
+    logger.info(`Extracted ${result.retrieved} time entries from ${argv.csv}`);
+    return;
+  }
+
+  const { from, to } = getDateRange(argv);
+
+  if (argv.incremental) {
+    const result = await extractor.extractUpdatedEntries(from, to);
+    logger.info(`Extracted ${result.retrieved} updated time entries from Harvest`);
+    return;
+  }
+
+  const result = await extractor.extractTimeEntries(from, to, { backfill: argv.backfill });
+  logger.info(`Extracted ${result.retrieved} time entries from Harvest`);
+}
+
+/**
+ * Import pending entries to Kimai as selected on the command line
+ * @param {KimaiImporter} importer - Importer to use
+ * @param {Object} argv - Parsed arguments
+ * @param {{from: string|null, to: string|null}} range - Date range to limit the import to
+ * @returns {Promise<number>} Exit code, PARTIAL when entries failed or conflicted
+ */
+async function importEntries(importer, argv, range) {
+  const summary = await importer.importTimeEntries({ ...getImportOptions(argv), ...range });
+
+  showReport(argv, summary.entries);
+
+  if (argv['dry-run']) {
+    logger.info('Dry run: nothing was sent to Kimai');
+  } else {
+    logger.info(`Imported ${summary.imported} time entries to Kimai, updated ${summary.updated} and deleted ${summary.deleted} existing timesheets`);
+    logger.info(`Recorded as run ${summary.runId}, see: harvest-kimai history show ${summary.runId}`);
+  }
+  if (summary.orphaned > 0) {
+    logger.warn(`${summary.orphaned} Kimai timesheets belong to entries deleted in Harvest; rerun with --on-deleted=delete to remove them`);
+  }
+  if (summary.failed > 0) {
+    logger.warn(`${summary.failed} entries failed; temporary failures are retried on the next run, or now with --retry-failed`);
+  }
+  if (summary.conflicts > 0) {
+    logger.warn(`${summary.conflicts} entries were not imported because they would overlap existing Kimai timesheets; see the conflict rows in the report`);
+  }
+
+  return summary.failed + summary.conflicts > 0 ? ExitCode.PARTIAL : ExitCode.OK;
+}
+
+/**
+ * Export pending entries to a file for Kimai's importer as selected on the command line
+ * @param {KimaiImporter} importer - Importer to use
+ * @param {Object} argv - Parsed arguments
+ * @param {{from: string|null, to: string|null}} range - Date range to limit the export to
+ * @returns {Promise<number>} Exit code, PARTIAL when entries conflicted
+ */
+async function exportEntries(importer, argv, range) {
+  const summary = await importer.exportTimeEntries({
+    write: (timesheets) => writeExport(argv.export, timesheets),
+    markExported: argv['mark-exported'],
+    retryFailed: argv['retry-failed'],
+    clearState: argv['clear-state'],
+    maxAttempts: argv['max-attempts'],
+    user: argv.user,
+    ...range
+  });
+
+  showReport(argv, summary.entries);
+
+  logger.info(`Exported ${summary.exported} timesheets to ${argv.export}`);
+  if (summary.runId) {
+    logger.info(`Recorded as run ${summary.runId}, see: harvest-kimai history show ${summary.runId}`);
+  }
+  if (summary.changed > 0) {
+    logger.warn(`${summary.changed} entries changed in Harvest after an earlier export and were left out, since Kimai's importer would duplicate them; update them in Kimai by hand, see the changed rows in the report`);
+  }
+  if (summary.conflicts > 0) {
+    logger.warn(`${summary.conflicts} entries were not exported because they would overlap other exported entries; see the conflict rows in the report`);
+  }
+
+  return summary.conflicts > 0 ? ExitCode.PARTIAL : ExitCode.OK;
+}
+
+yargs
+  .scriptName('harvest-kimai')
+  .usage('Usage: $0 <command> [options]')
+  .option('verbose', {
+    alias: 'v',
+    describe: 'Run with verbose logging',
+    type: 'boolean'
+  })
+  .options(Config.cliOptions)
+  .middleware((argv) => {
+    if (argv.verbose) {
+      logger.level = 'debug';
+    }
+  })
+  .middleware(Config.loadFromArgs)
+  .command('extract', 'Extract time entries from Harvest into the local database', extractOptions, (argv) => run('extract', async (open) => {
+    Config.validate(argv.csv ? ['timezone', 'database'] : ['harvest', 'timezone', 'http', 'database']);
+    const extractor = new HarvestExtractor({ offline: Boolean(argv.csv) });
+    open(extractor.storage);
+
+    await extract(extractor, argv);
+    return ExitCode.OK;
+  }))
+  .command('import', 'Import pending time entries to Kimai, or export them to a file', (y) => importOptions(rangeOptions(y, 'import'))
+    .option('export', {
+      describe: 'Write the timesheets to a file (CSV for Kimai\'s importer, or .json) instead of sending them to Kimai',
+      type: 'string'
+    })
+    .option('mark-exported', {
+      describe: 'Mark the exported entries so the next export leaves them out',
+      type: 'boolean'
+    })
+    .implies('mark-exported', 'export')
+    .conflicts('export', ['dry-run', 'create-missing'])
+    .check((argv) => {
+      if (argv.export && argv['on-deleted'] === 'delete') {
+        throw new Error('--export cannot be combined with --on-deleted=delete');
+      }
+
+      return true;
+    }), (argv) => run('import', async (open) => {
+    Config.validate(argv.export ? ['timezone', 'workday', 'rates', 'tags', 'database', 'mappings'] : ['kimai', 'timezone', 'workday', 'rates', 'tags', 'meta', 'http', 'database', 'mappings']);
+    const importer = new KimaiImporter({ offline: Boolean(argv.export) });
+    open(importer.storage);
+
+    return argv.export
+      ? exportEntries(importer, argv, getDateRange(argv))
+      : importEntries(importer, argv, getDateRange(argv));
+  }))
+  .command('sync', 'Extract time entries from Harvest, then import them to Kimai', (y) => importOptions(extractOptions(y)), (argv) => run('sync', async (open) => {
+    Config.validate([...(argv.csv ? [] : ['harvest']), 'kimai', 'timezone', 'workday', 'rates', 'tags', 'meta', 'http', 'database', 'mappings']);
+    const extractor = new HarvestExtractor({ offline: Boolean(argv.csv) });
+    open(extractor.storage);
+    // One connection for both steps, so they do not migrate a new database side by side
+    const importer = new KimaiImporter({ storage: extractor.storage });
+
+    await extract(extractor, argv);
+
+    // Incremental and CSV extractions can touch any date, so their import is not limited
+    return importEntries(importer, argv, argv.incremental || argv.csv ? { from: null, to: null } : getDateRange(argv));
+  }))
+  .command('status', 'Show how many entries are pending, failed, unmapped or imported', (y) => rangeOptions(y, 'count')
+    .option('output', {
+      alias: 'o',
+      describe: 'Write the state counts to a file (.csv or .json)',
+      type: 'string'
+    }), (argv) => run('status', async (open) => {
+    Config.validate(['timezone', 'database']);
+    const storage = open(new Storage());
+    const range = getDateRange(argv);
+
+    await storage.ready;
+    const counts = await storage.getStateCounts(range);
+    const rows = Object.entries(counts).map(([state, entries]) => ({ state, entries }));
+
+    console.log(Output.formatTable(rows, STATUS_COLUMNS));
+    if (argv.output) {
+      Output.writeFile(argv.output, rows, STATUS_COLUMNS);
+      logger.info(`Wrote state counts to ${argv.output}`);
+    }
+
+    logger.info(`Database ${storage.dbPath}${Config.getProfileName() ? ` of profile "${Config.getProfileName()}"` : ''}`);
+    for (const { account_id: accountId, last_synced_at: lastSyncedAt } of await storage.getSyncStates()) {
+      logger.info(`Harvest account ${accountId} last extracted at ${lastSyncedAt}`);
+    }
+    for (const kind of ['extract', 'import', 'export']) {
+      const [last] = await storage.getRuns({ kind, limit: 1 });
+      if (last) {
+        logger.info(`Last ${kind}: run ${last.id} ${last.status}, started ${last.started_at}`);
+      }
+    }
+
+    const outstanding = OUTSTANDING_STATES.reduce((sum, state) => sum + counts[state], 0);
+    if (outstanding === 0) {
+      logger.info(`All entries${range.from ? ` from ${range.from} to ${range.to}` : ''} are in Kimai`);
+    } else {
+      logger.info(`${outstanding} entries${range.from ? ` from ${range.from} to ${range.to}` : ''} are not in Kimai yet: ${counts[Storage.EntryState.PENDING]} pending, ${counts[Storage.EntryState.SKIPPED_UNMAPPED]} unmapped (see: harvest-kimai map), ${counts[Storage.EntryState.FAILED_RETRYABLE]} failed and retried, ${counts[Storage.EntryState.FAILED_PERMANENT]} failed for good (see: harvest-kimai history)`);
+    }
+    return ExitCode.OK;
+  }))
+  .command('tasks', 'Extract Harvest tasks and match them with Kimai activities and projects', () => {}, () => run('tasks', async (open) => {
+    Config.validate(['harvest', 'kimai', 'matching', 'http', 'database']);
+    const extractor = new HarvestExtractor();
+    open(extractor.storage);
+    const result = await extractor.extractTasks();
+
+    logger.info(`Task extraction complete: ${result.harvestTasks} Harvest tasks, ${result.kimaiActivities} Kimai activities, ${result.matched} tasks matched, ${result.review} suggestions awaiting review (see: harvest-kimai map review), ${result.projectsMatched} projects matched`);
+    return ExitCode.OK;
+  }))
+  .command(mapCommand)
+  .command(reconcileCommand)
+  .command(reportCommand)
+  .command(historyCommand)
+  .command(dbCommand)
+  .demandCommand(1, 'You must specify a command')
+  .strict()
+  .fail((message, error, y) => {
+    // Only argument problems end up here, commands handle their own errors in run()
+    y.showHelp();
+    console.error(`\n${message || error.message}`);
+    process.exit(ExitCode.USAGE);
+  })
+  .help()
+  .argv;
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+const yargs = require('yargs');
+const Storage = require('../src/db/storage');
+const Config = require('../src/utils/config');
+const Output = require('../src/utils/output');
+const logger = require('../src/utils/logger');
+
+// Columns of the run list, in display order
+const RUN_COLUMNS = ['id', 'kind', 'status', 'started_at', 'finished_at', 'arguments', 'counts', 'error'];
+
+// Columns of a run's audit log, in display order
+const ENTRY_COLUMNS = ['created_at', 'harvest_id', 'action', 'kimai_id', 'payload', 'error'];
+
+// Columns of an entry's history across runs, in display order
+const ENTRY_HISTORY_COLUMNS = ['created_at', 'run_id', 'kind', 'action', 'kimai_id', 'payload', 'error'];
+
+/**
+ * Run a history subcommand against the local database and exit
+ * @param {Function} handler - Async function receiving the storage
+ */
+async function run(handler) {
+  const storage = new Storage();
+  let exitCode = 0;
+
+  try {
+    await storage.ready;
+    await handler(storage);
+  } catch (error) {
+    logger.error(`Error in history: ${error.message}`);
+    exitCode = 1;
+  } finally {
+    storage.close();
+  }
+
+  process.exitCode = exitCode;
+}
+
+/**
+ * Turn stored JSON counts into a short "name=value" list, leaving out zeros
+ * @param {String|null} counts - Counts as stored with the run
+ * @returns {String} Readable counts
+ */
+function formatCounts(counts) {
+  if (!counts) return '';
+
+  return Object.entries(JSON.parse(counts))
+    .filter(([, value]) => typeof value === 'number' && value !== 0)
+    .map(([name, value]) => `${name}=${value}`)
+    .join(' ');
+}
+
+/**
+ * Print rows as a table, or write them to a file when --output is given
+ * @param {Object} argv - Parsed arguments
+ * @param {Array<Object>} rows - Rows to show
+ * @param {Array<String>} columns - Columns to show
+ */
+function show(argv, rows, columns) {
+  if (argv.output) {
+    Output.writeFile(argv.output, rows, columns);
+    logger.info(`Wrote ${rows.length} rows to ${argv.output}`);
+    return;
+  }
+  console.log(Output.formatTable(rows, columns, argv.wide ? Infinity : 50));
+}
+
+/**
+ * Add the history subcommands and their options
+ * @param {Object} y - Yargs instance
+ * @returns {Object} Yargs instance
+ */
+function builder(y) {
+  return y
+    .option('output', {
+      alias: 'o',
+      describe: 'Write the rows to a file (.csv or .json) instead of printing them',
+      type: 'string'
+    })
+    .option('wide', {
+      describe: 'Do not shorten long values such as payloads',
+      type: 'boolean'
+    })
+    .command(['list', '$0'], 'List recent extract, import and export runs', (y) => y
+      .option('kind', {
+        describe: 'Only list runs of this kind',
+        choices: ['extract', 'extract-tasks', 'import', 'export']
+      })
+      .option('limit', {
+        describe: 'Number of runs to list',
+        type: 'number',
+        default: 20
+      }), (argv) => run(async (storage) => {
+      const runs = await storage.getRuns({ kind: argv.kind, limit: argv.limit });
+
+      if (runs.length === 0) {
+        logger.info('No runs recorded yet');
+        return;
+      }
+      show(argv, runs.map(entry => ({ ...entry, counts: formatCounts(entry.counts) })), RUN_COLUMNS);
+    }))
+    .command('show <run>', 'Show a run and what it did to each entry', (y) => y
+      .positional('run', {
+        describe: 'Run ID',
+        type: 'number'
+      }), (argv) => run(async (storage) => {
+      const record = await storage.getRun(argv.run);
+
+      if (!record) {
+        throw new Error(`No run with ID ${argv.run}`);
+      }
+
+      logger.info(`Run ${record.id} (${record.kind}) ${record.status}, started ${record.started_at}, finished ${record.finished_at || 'never'}, arguments ${record.arguments}`);
+      if (record.counts) {
+        logger.info(`Counts: ${formatCounts(record.counts) || 'nothing done'}`);
+      }
+      if (record.error) {
+        logger.error(`Error: ${record.error}`);
+      }
+
+      const entries = await storage.getRunEntries(record.id);
+      if (entries.length > 0) {
+        show(argv, entries, ENTRY_COLUMNS);
+      }
+    }))
+    .command('entry <harvestId>', 'Show every run that touched a Harvest entry', (y) => y
+      .positional('harvestId', {
+        describe: 'Harvest entry ID',
+        type: 'string'
+      }), (argv) => run(async (storage) => {
+      const entries = await storage.getEntryHistory(argv.harvestId);
+
+      if (entries.length === 0) {
+        logger.info(`No run has touched Harvest entry ${argv.harvestId}`);
+        return;
+      }
+      show(argv, entries, ENTRY_HISTORY_COLUMNS);
+    }));
+}
+
+// Registered as harvest-kimai history, and still runs on its own as: yarn run history
+module.exports = {
+  command: 'history',
+  describe: 'List extract, import and export runs and what they did to each entry',
+  builder
+};
+
+if (require.main === module) {
+  builder(yargs.usage('Usage: $0 [command] [options]').options(Config.cliOptions).middleware(Config.loadFromArgs))
+    .strict()
+    .help()
+    .argv;
+}
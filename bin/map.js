@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+
+const yargs = require('yargs');
+const Storage = require('../src/db/storage');
+const Config = require('../src/utils/config');
+const Output = require('../src/utils/output');
+const logger = require('../src/utils/logger');
+
+// Columns of the mapping list, in display order
+const MAPPING_COLUMNS = ['harvest_task', 'kimai_project_id', 'kimai_activity_id', 'source', 'updated_at'];
+
+// Columns of the project mapping list, in display order
+const PROJECT_MAPPING_COLUMNS = ['harvest_client', 'harvest_project', 'kimai_customer_id', 'kimai_project_id', 'source', 'updated_at'];
+
+// Columns of the user mapping list, in display order
+const USER_MAPPING_COLUMNS = ['harvest_user', 'harvest_user_name', 'kimai_user_id', 'source', 'updated_at'];
+
+// Columns of the review list, in display order
+const REVIEW_COLUMNS = ['id', 'harvest_task', 'kimai_activity_name', 'kimai_project_id', 'kimai_activity_id', 'score'];
+
+/**
+ * Run a map subcommand against the local database and exit
+ * @param {Function} handler - Async function receiving the storage
+ */
+async function run(handler) {
+  const storage = new Storage();
+  let exitCode = 0;
+
+  try {
+    await storage.ready;
+    await handler(storage);
+  } catch (error) {
+    logger.error(`Error in map: ${error.message}`);
+    exitCode = 1;
+  } finally {
+    storage.close();
+  }
+
+  process.exitCode = exitCode;
+}
+
+/**
+ * Add the map subcommands
+ * @param {Object} y - Yargs instance
+ * @returns {Object} Yargs instance
+ */
+function builder(y) {
+  return y
+    .command('set <task>', 'Map a Harvest task to a Kimai activity', (y) => y
+      .positional('task', {
+        describe: 'Harvest task name',
+        type: 'string'
+      })
+      .option('activity', {
+        describe: 'Kimai activity ID',
+        type: 'string',
+        demandOption: true
+      })
+      .option('project', {
+        describe: 'Kimai project ID',
+        type: 'string'
+      })
+      .option('override', {
+        describe: 'Replace an existing mapping for the task',
+        type: 'boolean'
+      }), (argv) => run(async (storage) => {
+      const existing = await storage.getTaskMapping(argv.task);
+
+      if (existing && existing.source === 'config') {
+        throw new Error(`Task "${argv.task}" is mapped by the config profile; change the mapping there`);
+      }
+      if (existing && !argv.override) {
+        throw new Error(`Task "${argv.task}" is already mapped to project ${existing.kimai_project_id}, activity ${existing.kimai_activity_id}; use --override to replace it`);
+      }
+
+      await storage.setTaskMapping(argv.task, argv.project || null, argv.activity);
+      logger.info(`Mapped task "${argv.task}" to Kimai project ${argv.project || '(none)'}, activity ${argv.activity}`);
+    }))
+    .command('list', 'List the Kimai mapping of every Harvest task', () => {}, () => run(async (storage) => {
+      const mappings = await storage.getTaskMappings();
+      console.log(Output.formatTable(mappings, MAPPING_COLUMNS));
+    }))
+    .command('remove <task>', 'Remove the manual mapping of a Harvest task', (y) => y
+      .positional('task', {
+        describe: 'Harvest task name',
+        type: 'string'
+      }), (argv) => run(async (storage) => {
+      const existing = await storage.getTaskMapping(argv.task);
+
+      if (existing && existing.source === 'config') {
+        throw new Error(`Task "${argv.task}" is mapped by the config profile; remove the mapping there`);
+      }
+
+      const removed = await storage.removeTaskMapping(argv.task);
+
+      if (removed === 0) {
+        throw new Error(`Task "${argv.task}" has no manual mapping`);
+      }
+      logger.info(`Removed manual mapping of task "${argv.task}"`);
+    }))
+    .command('review', 'List suggested task matches awaiting review', () => {}, () => run(async (storage) => {
+      const suggestions = await storage.getMatchReviews();
+      console.log(Output.formatTable(suggestions, REVIEW_COLUMNS));
+    }))
+    .command('approve <id>', 'Accept a suggested match as the mapping of its task', (y) => y
+      .positional('id', {
+        describe: 'Suggestion ID from the review list',
+        type: 'number'
+      }), (argv) => run((storage) => storage.approveMatchReview(argv.id)))
+    .command('reject <id>', 'Reject a suggested match so it is not suggested again', (y) => y
+      .positional('id', {
+        describe: 'Suggestion ID from the review list',
+        type: 'number'
+      }), (argv) => run((storage) => storage.rejectMatchReview(argv.id)))
+    .command('project', 'Map Harvest clients and projects to Kimai customers and projects', (y) => y
+      .command('set', 'Map a Harvest client/project to a Kimai project', (py) => py
+        .option('client', {
+          describe: 'Harvest client name',
+          type: 'string',
+          demandOption: true
+        })
+        .option('project', {
+          describe: 'Harvest project name',
+          type: 'string',
+          demandOption: true
+        })
+        .option('kimai-project', {
+          describe: 'Kimai project ID',
+          type: 'string',
+          demandOption: true
+        })
+        .option('kimai-customer', {
+          describe: 'Kimai customer ID',
+          type: 'string'
+        })
+        .option('override', {
+          describe: 'Replace an existing mapping for the client/project',
+          type: 'boolean'
+        }), (argv) => run(async (storage) => {
+        const existing = await storage.getProjectMapping(argv.client, argv.project);
+
+        if (existing && existing.source === 'config') {
+          throw new Error(`"${argv.client}: ${argv.project}" is mapped by the config profile; change the mapping there`);
+        }
+        if (existing && existing.source !== 'auto' && !argv.override) {
+          throw new Error(`"${argv.client}: ${argv.project}" is already mapped to Kimai project ${existing.kimai_project_id}; use --override to replace it`);
+        }
+
+        await storage.setProjectMapping(argv.client, argv.project, argv['kimai-customer'] || null, argv['kimai-project']);
+        logger.info(`Mapped "${argv.client}: ${argv.project}" to Kimai project ${argv['kimai-project']}`);
+      }))
+      .command('list', 'List the Kimai mapping of every Harvest client/project', () => {}, () => run(async (storage) => {
+        const mappings = await storage.getProjectMappings();
+        console.log(Output.formatTable(mappings, PROJECT_MAPPING_COLUMNS));
+      }))
+      .command('remove', 'Remove the mapping of a Harvest client/project', (py) => py
+        .option('client', {
+          describe: 'Harvest client name',
+          type: 'string',
+          demandOption: true
+        })
+        .option('project', {
+          describe: 'Harvest project name',
+          type: 'string',
+          demandOption: true
+        }), (argv) => run(async (storage) => {
+        const existing = await storage.getProjectMapping(argv.client, argv.project);
+
+        if (existing && existing.source === 'config') {
+          throw new Error(`"${argv.client}: ${argv.project}" is mapped by the config profile; remove the mapping there`);
+        }
+
+        const removed = await storage.removeProjectMapping(argv.client, argv.project);
+
+        if (removed === 0) {
+          throw new Error(`"${argv.client}: ${argv.project}" has no project mapping`);
+        }
+        logger.info(`Removed project mapping of "${argv.client}: ${argv.project}"`);
+      }))
+      .demandCommand(1, 'You must specify a map project command'))
+    .command('user', 'Map Harvest users to the Kimai users their timesheets are created for', (y) => y
+      .command('set <user>', 'Map a Harvest user to a Kimai user', (uy) => uy
+        .positional('user', {
+          describe: 'Harvest user ID or name',
+          type: 'string'
+        })
+        .option('kimai-user', {
+          describe: 'Kimai user ID',
+          type: 'string',
+          demandOption: true
+        })
+        .option('override', {
+          describe: 'Replace an existing mapping for the user',
+          type: 'boolean'
+        }), (argv) => run(async (storage) => {
+        const known = await storage.findHarvestUser(argv.user);
+        const harvestUser = known ? known.harvest_user : argv.user;
+        const existing = await storage.getUserMapping(harvestUser);
+
+        if (!known) {
+          logger.warn(`No entries of Harvest user "${argv.user}" extracted yet; the mapping applies once entries with this user ID, or this name in a CSV export, are extracted`);
+        }
+        if (existing && existing.source === 'config') {
+          throw new Error(`Harvest user "${argv.user}" is mapped by the config profile; change the mapping there`);
+        }
+        if (existing && !argv.override) {
+          throw new Error(`Harvest user "${argv.user}" is already mapped to Kimai user ${existing.kimai_user_id}; use --override to replace it`);
+        }
+
+        await storage.setUserMapping(harvestUser, argv['kimai-user']);
+        logger.info(`Mapped Harvest user "${argv.user}" to Kimai user ${argv['kimai-user']}`);
+      }))
+      .command('list', 'List the Kimai user of every Harvest user', () => {}, () => run(async (storage) => {
+        const mappings = await storage.getUserMappings();
+        console.log(Output.formatTable(mappings, USER_MAPPING_COLUMNS));
+      }))
+      .command('remove <user>', 'Remove the mapping of a Harvest user', (uy) => uy
+        .positional('user', {
+          describe: 'Harvest user ID or name',
+          type: 'string'
+        }), (argv) => run(async (storage) => {
+        const known = await storage.findHarvestUser(argv.user);
+        const harvestUser = known ? known.harvest_user : argv.user;
+        const existing = await storage.getUserMapping(harvestUser);
+
+        if (existing && existing.source === 'config') {
+          throw new Error(`Harvest user "${argv.user}" is mapped by the config profile; remove the mapping there`);
+        }
+
+        const removed = await storage.removeUserMapping(harvestUser);
+
+        if (removed === 0) {
+          throw new Error(`Harvest user "${argv.user}" has no user mapping`);
+        }
+        logger.info(`Removed user mapping of Harvest user "${argv.user}"`);
+      }))
+      .demandCommand(1, 'You must specify a map user command'))
+    .demandCommand(1, 'You must specify a map command');
+}
+
+// Registered as harvest-kimai map, and still runs on its own as: yarn run map
+module.exports = {
+  command: 'map',
+  describe: 'Map Harvest tasks, clients/projects and users to Kimai, and review suggested task matches',
+  builder
+};
+
+if (require.main === module) {
+  builder(yargs.usage('Usage: $0 <command> [options]').options(Config.cliOptions).middleware(Config.loadFromArgs))
+    .strict()
+    .help()
+    .argv;
+}
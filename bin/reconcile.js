@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+const yargs = require('yargs');
+const KimaiReconciler = require('../src/kimai/reconcile');
+const DateUtils = require('../src/utils/date');
+const Config = require('../src/utils/config');
+const Output = require('../src/utils/output');
+const logger = require('../src/utils/logger');
+
+// Columns of the per-entry report, in display order
+const REPORT_COLUMNS = ['harvest_id', 'date', 'action', 'kimai_id', 'reason'];
+
+/**
+ * Add the reconcile options
+ * @param {Object} y - Yargs instance
+ * @returns {Object} Yargs instance
+ */
+function builder(y) {
+  return y
+    .option('from', {
+      describe: 'Start date (YYYY-MM-DD)',
+      type: 'string'
+    })
+    .option('to', {
+      describe: 'End date (YYYY-MM-DD)',
+      type: 'string'
+    })
+    .option('current-month', {
+      describe: 'Reconcile entries for current month',
+      type: 'boolean'
+    })
+    .option('dry-run', {
+      describe: 'Show what would change without touching the local database',
+      type: 'boolean'
+    })
+    .option('output', {
+      alias: 'o',
+      describe: 'Write the per-entry report to a file (.csv or .json)',
+      type: 'string'
+    })
+    .check((argv) => {
+      if (argv.from && !DateUtils.isValidDate(argv.from)) {
+        throw new Error('From date must be in YYYY-MM-DD format');
+      }
+      if (argv.to && !DateUtils.isValidDate(argv.to)) {
+        throw new Error('To date must be in YYYY-MM-DD format');
+      }
+      if (!argv.from && !argv['current-month']) {
+        throw new Error('You must specify a date range using --from/--to or --current-month');
+      }
+
+      return true;
+    });
+}
+
+/**
+ * Reconcile the stored entries of the selected range with Kimai and print what changed
+ * @param {Object} argv - Parsed arguments
+ */
+async function handler(argv) {
+  let reconciler = null;
+
+  try {
+    Config.validate(['kimai', 'timezone', 'http', 'database']);
+    reconciler = new KimaiReconciler();
+
+    let from, to;
+
+    if (argv['current-month']) {
+      ({ from, to } = DateUtils.getCurrentMonth(Config.getTimezone()));
+    } else {
+      from = argv.from;
+      to = argv.to || from; // If only from is provided, use it for to as well
+    }
+
+    const summary = await reconciler.reconcile(from, to, { dryRun: argv['dry-run'] });
+
+    if (summary.entries.length > 0) {
+      console.log(Output.formatTable(summary.entries, REPORT_COLUMNS));
+    }
+
+    if (argv.output) {
+      Output.writeFile(argv.output, summary.entries, REPORT_COLUMNS);
+      logger.info(`Wrote report for ${summary.entries.length} entries to ${argv.output}`);
+    }
+
+    if (argv['dry-run']) {
+      logger.info('Dry run: the local database was not changed');
+    }
+    if (summary.unknown > 0) {
+      logger.warn(`${summary.unknown} Kimai timesheets point to Harvest entries that are not stored locally; run harvest-kimai extract --from ${from} --to ${to} and reconcile again`);
+    }
+    process.exitCode = 0;
+  } catch (error) {
+    logger.error(`Error in reconcile: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    if (reconciler) {
+      reconciler.storage.close();
+    }
+  }
+}
+
+// Registered as harvest-kimai reconcile, and still runs on its own as: yarn run reconcile
+module.exports = {
+  command: 'reconcile',
+  describe: 'Rebuild the import state of entries from the Harvest markers of Kimai timesheets',
+  builder,
+  handler
+};
+
+if (require.main === module) {
+  yargs
+    .usage('Usage: $0 [options]')
+    .options(Config.cliOptions)
+    .middleware(Config.loadFromArgs)
+    .command('$0', module.exports.describe, builder, handler)
+    .help()
+    .argv;
+}
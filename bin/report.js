@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+const yargs = require('yargs');
+const KimaiReporter = require('../src/kimai/report');
+const DateUtils = require('../src/utils/date');
+const Config = require('../src/utils/config');
+const Output = require('../src/utils/output');
+const logger = require('../src/utils/logger');
+
+// Columns of the totals per day, client, project and task, in display order
+const TOTAL_COLUMNS = ['date', 'client', 'project', 'task', 'harvest_hours', 'kimai_hours', 'difference', 'status'];
+
+// Columns of the per-entry differences, in display order
+const DIFFERENCE_COLUMNS = ['type', 'date', 'client', 'project', 'task', 'harvest_id', 'kimai_id', 'harvest_hours', 'kimai_hours', 'reason'];
+
+/**
+ * Add the report options
+ * @param {Object} y - Yargs instance
+ * @returns {Object} Yargs instance
+ */
+function builder(y) {
+  return y
+    .option('from', {
+      describe: 'Start date (YYYY-MM-DD)',
+      type: 'string'
+    })
+    .option('to', {
+      describe: 'End date (YYYY-MM-DD)',
+      type: 'string'
+    })
+    .option('current-month', {
+      describe: 'Compare hours for current month',
+      type: 'boolean'
+    })
+    .option('all', {
+      describe: 'Also show totals that match',
+      type: 'boolean'
+    })
+    .option('output', {
+      alias: 'o',
+      describe: 'Write all totals to a file (.csv or .json)',
+      type: 'string'
+    })
+    .option('differences', {
+      describe: 'Write the per-entry differences to a file (.csv or .json)',
+      type: 'string'
+    })
+    .check((argv) => {
+      if (argv.from && !DateUtils.isValidDate(argv.from)) {
+        throw new Error('From date must be in YYYY-MM-DD format');
+      }
+      if (argv.to && !DateUtils.isValidDate(argv.to)) {
+        throw new Error('To date must be in YYYY-MM-DD format');
+      }
+      if (!argv.from && !argv['current-month']) {
+        throw new Error('You must specify a date range using --from/--to or --current-month');
+      }
+
+      return true;
+    });
+}
+
+/**
+ * Compare the hours of the selected range and print the totals and entries that differ
+ * @param {Object} argv - Parsed arguments
+ */
+async function handler(argv) {
+  let reporter = null;
+
+  try {
+    Config.validate(['kimai', 'timezone', 'http', 'database']);
+    reporter = new KimaiReporter();
+
+    let from, to;
+
+    if (argv['current-month']) {
+      ({ from, to } = DateUtils.getCurrentMonth(Config.getTimezone()));
+    } else {
+      from = argv.from;
+      to = argv.to || from; // If only from is provided, use it for to as well
+    }
+
+    const report = await reporter.compare(from, to);
+    const totals = argv.all ? report.totals : report.totals.filter(total => total.status !== 'ok');
+
+    if (totals.length > 0) {
+      console.log(Output.formatTable(totals, TOTAL_COLUMNS));
+    }
+    if (report.differences.length > 0) {
+      console.log();
+      console.log(Output.formatTable(report.differences, DIFFERENCE_COLUMNS));
+    }
+
+    if (argv.output) {
+      Output.writeFile(argv.output, report.totals, TOTAL_COLUMNS);
+      logger.info(`Wrote ${report.totals.length} totals to ${argv.output}`);
+    }
+    if (argv.differences) {
+      Output.writeFile(argv.differences, report.differences, DIFFERENCE_COLUMNS);
+      logger.info(`Wrote ${report.differences.length} differences to ${argv.differences}`);
+    }
+
+    if (report.differences.length === 0) {
+      logger.info(`Harvest and Kimai agree on all ${report.harvestHours}h from ${from} to ${to}`);
+    } else {
+      logger.warn(`Harvest has ${report.harvestHours}h and Kimai ${report.kimaiHours}h from ${from} to ${to}; check the differences above before invoicing`);
+    }
+    process.exitCode = 0;
+  } catch (error) {
+    logger.error(`Error in report: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    if (reporter) {
+      reporter.storage.close();
+    }
+  }
+}
+
+// Registered as harvest-kimai report, and still runs on its own as: yarn run report
+module.exports = {
+  command: 'report',
+  describe: 'Compare Harvest and Kimai hours per day, client, project and task',
+  builder,
+  handler
+};
+
+if (require.main === module) {
+  yargs
+    .usage('Usage: $0 [options]')
+    .options(Config.cliOptions)
+    .middleware(Config.loadFromArgs)
+    .command('$0', module.exports.describe, builder, handler)
+    .help()
+    .argv;
+}
@@ -0,0 +1,247 @@
+/**
+ * Ordered schema migrations for the time entries database.
+ * Each migration runs once, inside a transaction, and is recorded in schema_version.
+ * Never change a migration that has been released; add a new one instead.
+ *
+ * Databases created before migrations existed already have some of these tables and
+ * columns, so the early migrations only create what is missing.
+ */
+
+/**
+ * Add a column unless the table already has it
+ * @param {Storage} storage - Storage to run the statements on
+ * @param {String} table - Table name
+ * @param {String} column - Column name
+ * @param {String} definition - Column type and constraints
+ * @returns {Promise<void>}
+ */
+async function addColumn(storage, table, column, definition) {
+  const columns = await storage.queryAll(`PRAGMA table_info(${table})`);
+
+  if (!columns.some(existing => existing.name === column)) {
+    await storage.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+module.exports = [
+  {
+    version: 1,
+    name: 'Create time entry and task tables',
+    async up(storage) {
+      await storage.execute(`
+        CREATE TABLE IF NOT EXISTS time_entries (
+          id INTEGER PRIMARY KEY,
+          harvest_id TEXT UNIQUE,
+          kimai_id TEXT,
+          date TEXT,
+          client TEXT,
+          project TEXT,
+          task TEXT,
+          notes TEXT,
+          hours REAL,
+          started_time TEXT,
+          ended_time TEXT,
+          imported INTEGER DEFAULT 0,
+          created_at TEXT
+        )
+      `);
+      await storage.execute(`
+        CREATE TABLE IF NOT EXISTS tasks (
+          id INTEGER PRIMARY KEY,
+          harvest_id TEXT UNIQUE,
+          name TEXT,
+          is_active BOOLEAN,
+          created_at TEXT,
+          updated_at TEXT
+        )
+      `);
+      await storage.execute(`
+        CREATE TABLE IF NOT EXISTS tasks_kimai (
+          id INTEGER PRIMARY KEY,
+          kimai_project_id TEXT,
+          kimai_activity_id TEXT,
+          task_name TEXT,
+          parent_title TEXT,
+          created_at TEXT
+        )
+      `);
+      await addColumn(storage, 'tasks', 'kimai_project_id', 'TEXT DEFAULT NULL');
+      await addColumn(storage, 'tasks', 'kimai_activity_id', 'TEXT DEFAULT NULL');
+      await addColumn(storage, 'tasks', 'kimai_activity_name', 'TEXT DEFAULT NULL');
+    }
+  },
+  {
+    version: 2,
+    name: 'Add task and project mappings with match review',
+    async up(storage) {
+      await addColumn(storage, 'tasks', 'match_score', 'REAL DEFAULT NULL');
+      await storage.execute(`
+        CREATE TABLE IF NOT EXISTS task_mappings (
+          id INTEGER PRIMARY KEY,
+          harvest_task TEXT UNIQUE,
+          kimai_project_id TEXT,
+          kimai_activity_id TEXT,
+          source TEXT DEFAULT 'manual',
+          created_at TEXT,
+          updated_at TEXT
+        )
+      `);
+      await storage.execute(`
+        CREATE TABLE IF NOT EXISTS project_mappings (
+          id INTEGER PRIMARY KEY,
+          harvest_client TEXT,
+          harvest_project TEXT,
+          kimai_customer_id TEXT,
+          kimai_project_id TEXT,
+          source TEXT DEFAULT 'manual',
+          created_at TEXT,
+          updated_at TEXT,
+          UNIQUE(harvest_client, harvest_project)
+        )
+      `);
+      await storage.execute(`
+        CREATE TABLE IF NOT EXISTS task_match_reviews (
+          id INTEGER PRIMARY KEY,
+          harvest_task TEXT,
+          kimai_project_id TEXT,
+          kimai_activity_id TEXT,
+          kimai_activity_name TEXT,
+          score REAL,
+          status TEXT DEFAULT 'pending',
+          created_at TEXT,
+          updated_at TEXT,
+          UNIQUE(harvest_task, kimai_activity_id)
+        )
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'Track entries deleted in Harvest',
+    async up(storage) {
+      await addColumn(storage, 'time_entries', 'deleted_at', 'TEXT DEFAULT NULL');
+    }
+  },
+  {
+    version: 4,
+    name: 'Add sync state for incremental extraction',
+    async up(storage) {
+      await storage.execute(`
+        CREATE TABLE IF NOT EXISTS sync_state (
+          account_id TEXT PRIMARY KEY,
+          last_synced_at TEXT,
+          updated_at TEXT
+        )
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'Index time entries by date and import state',
+    async up(storage) {
+      await storage.execute(`CREATE INDEX IF NOT EXISTS idx_time_entries_date ON time_entries (date)`);
+      await storage.execute(`CREATE INDEX IF NOT EXISTS idx_time_entries_imported ON time_entries (imported, deleted_at)`);
+    }
+  },
+  {
+    version: 6,
+    name: 'Add run history and per-entry audit log',
+    async up(storage) {
+      await storage.execute(`
+        CREATE TABLE runs (
+          id INTEGER PRIMARY KEY,
+          kind TEXT NOT NULL,
+          arguments TEXT,
+          status TEXT NOT NULL DEFAULT 'running',
+          counts TEXT,
+          error TEXT,
+          started_at TEXT NOT NULL,
+          finished_at TEXT
+        )
+      `);
+      await storage.execute(`
+        CREATE TABLE run_entries (
+          id INTEGER PRIMARY KEY,
+          run_id INTEGER NOT NULL REFERENCES runs (id),
+          harvest_id TEXT,
+          action TEXT NOT NULL,
+          kimai_id TEXT,
+          payload TEXT,
+          error TEXT,
+          created_at TEXT NOT NULL
+        )
+      `);
+      await storage.execute(`CREATE INDEX idx_run_entries_run ON run_entries (run_id)`);
+      await storage.execute(`CREATE INDEX idx_run_entries_harvest ON run_entries (harvest_id)`);
+    }
+  },
+  {
+    version: 7,
+    name: 'Replace the imported flag with entry lifecycle states',
+    async up(storage) {
+      await addColumn(storage, 'time_entries', 'status', `TEXT NOT NULL DEFAULT 'pending'`);
+      await addColumn(storage, 'time_entries', 'last_error', 'TEXT DEFAULT NULL');
+      await addColumn(storage, 'time_entries', 'attempts', 'INTEGER NOT NULL DEFAULT 0');
+      await storage.execute(`
+        UPDATE time_entries
+        SET status = CASE
+          WHEN deleted_at IS NOT NULL THEN 'deleted'
+          WHEN imported = 1 THEN 'imported'
+          ELSE 'pending'
+        END
+      `);
+      await storage.execute(`DROP INDEX IF EXISTS idx_time_entries_imported`);
+      await storage.execute(`ALTER TABLE time_entries DROP COLUMN imported`);
+      await storage.execute(`CREATE INDEX idx_time_entries_status ON time_entries (status)`);
+    }
+  },
+  {
+    version: 8,
+    name: 'Track Harvest users and map them to Kimai users',
+    async up(storage) {
+      await addColumn(storage, 'time_entries', 'harvest_user_id', 'TEXT DEFAULT NULL');
+      await addColumn(storage, 'time_entries', 'harvest_user_name', 'TEXT DEFAULT NULL');
+      await storage.execute(`
+        CREATE TABLE user_mappings (
+          id INTEGER PRIMARY KEY,
+          harvest_user TEXT UNIQUE,
+          kimai_user_id TEXT,
+          source TEXT DEFAULT 'manual',
+          created_at TEXT,
+          updated_at TEXT
+        )
+      `);
+    }
+  },
+  {
+    version: 9,
+    name: 'Store billable status and rates of time entries',
+    async up(storage) {
+      await addColumn(storage, 'time_entries', 'billable', 'INTEGER DEFAULT NULL');
+      await addColumn(storage, 'time_entries', 'billable_rate', 'REAL DEFAULT NULL');
+      await addColumn(storage, 'time_entries', 'cost_rate', 'REAL DEFAULT NULL');
+    }
+  },
+  {
+    version: 10,
+    name: 'Store the external reference of time entries',
+    async up(storage) {
+      await addColumn(storage, 'time_entries', 'external_reference', 'TEXT DEFAULT NULL');
+    }
+  },
+  {
+    version: 11,
+    name: 'Store the external reference link of time entries',
+    async up(storage) {
+      await addColumn(storage, 'time_entries', 'external_reference_permalink', 'TEXT DEFAULT NULL');
+    }
+  },
+  {
+    version: 12,
+    name: 'Remember when entries were exported to a file',
+    async up(storage) {
+      await addColumn(storage, 'time_entries', 'exported_at', 'TEXT DEFAULT NULL');
+      await storage.execute(`UPDATE time_entries SET exported_at = ? WHERE status = 'exported'`, [new Date().toISOString()]);
+    }
+  }
+];
@@ -1,132 +1,196 @@
 const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
 const path = require('path');
+const Config = require('../utils/config');
 const logger = require('../utils/logger');
+const TaskMatcher = require('../utils/match');
+const migrations = require('./migrations');
+
+// Lifecycle states of a time entry
+const EntryState = {
+  PENDING: 'pending',
+  SKIPPED_UNMAPPED: 'skipped-unmapped',
+  FAILED_RETRYABLE: 'failed-retryable',
+  FAILED_PERMANENT: 'failed-permanent',
+  IMPORTED: 'imported',
+  EXPORTED: 'exported',
+  DELETED: 'deleted'
+};
+
+// States of entries the importer picks up on a regular run
+const IMPORTABLE_STATES = [EntryState.PENDING, EntryState.SKIPPED_UNMAPPED, EntryState.FAILED_RETRYABLE];
+
+// Prefix of the synthetic IDs of entries read from Harvest CSV exports (see HarvestCsv), which the API never returns
+const CSV_ID_PREFIX = 'csv-';
+
+// How long a connection waits for another one to finish writing, e.g. when two commands open a new database at once
+const BUSY_TIMEOUT_MS = 30000;
+
+// Key a Harvest user is mapped by: the user's ID, or the name for entries from CSV exports, which have no IDs
+const HARVEST_USER_KEY = 'COALESCE(te.harvest_user_id, te.harvest_user_name)';
+
+// Time entries with their effective Kimai mapping. The Kimai project comes from the entry's
+// client/project mapping and falls back to the project of the task's activity. For tasks,
+// a mapping in task_mappings always wins over the automatic match stored in tasks.
+const MAPPED_ENTRIES_QUERY = `
+  SELECT te.*,
+    um.kimai_user_id,
+    pm.kimai_customer_id,
+    COALESCE(
+      pm.kimai_project_id,
+      CASE WHEN m.id IS NOT NULL THEN m.kimai_project_id ELSE t.kimai_project_id END
+    ) AS kimai_project_id,
+    CASE WHEN m.id IS NOT NULL THEN m.kimai_activity_id ELSE t.kimai_activity_id END AS kimai_activity_id
+  FROM time_entries te
+  LEFT JOIN tasks t ON te.task = t.name
+  LEFT JOIN task_mappings m ON te.task = m.harvest_task
+  LEFT JOIN project_mappings pm ON te.client = pm.harvest_client AND te.project = pm.harvest_project
+  LEFT JOIN user_mappings um ON um.harvest_user = ${HARVEST_USER_KEY}
+`;
 
 /**
- * Storage class for handling local data persistence
+ * Storage class for handling local data persistence.
+ * Await `ready` before the first query so the schema is in place.
  */
 class Storage {
-  constructor() {
-    this.dbPath = path.join(__dirname, '../../data/timeEntries.db');
-    this.db = new sqlite3.Database(this.dbPath, (err) => {
-      if (err) {
-        logger.error(`Error connecting to database: ${err.message}`);
-      } else {
-        logger.info('Connected to the time entries database');
-        this.initDatabase();
-      }
-    });
-  }
-
   /**
-   * Initialize database tables if they don't exist
+   * @param {Object} options - Storage options
+   * @param {Boolean} options.migrate - Apply pending schema migrations and the profile's mapping rules on open
    */
-  initDatabase() {
-    this.db.serialize(() => {
-      // Create time entries table
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS time_entries (
-          id INTEGER PRIMARY KEY,
-          harvest_id TEXT UNIQUE,
-          kimai_id TEXT,
-          date TEXT,
-          client TEXT,
-          project TEXT,
-          task TEXT,
-          notes TEXT,
-          hours REAL,
-          started_time TEXT,
-          ended_time TEXT,
-          imported INTEGER DEFAULT 0,
-          created_at TEXT
-        )
-      `, (err) => {
+  constructor({ migrate = true } = {}) {
+    this.dbPath = Config.getDatabasePath();
+    this.ready = new Promise((resolve, reject) => {
+      fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+      this.db = new sqlite3.Database(this.dbPath, (err) => {
         if (err) {
-          logger.error(`Error creating time entries schema: ${err.message}`);
-        } else {
-          logger.info('Time entries table initialized');
-        }
-      });
-      
-      // Create tasks table
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS tasks (
-          id INTEGER PRIMARY KEY,
-          harvest_id TEXT UNIQUE,
-          name TEXT,
-          is_active BOOLEAN,
-          created_at TEXT,
-          updated_at TEXT
-        )
-      `, (err) => {
-        if (err) {
-          logger.error(`Error creating tasks schema: ${err.message}`);
-        } else {
-          logger.info('Tasks table initialized');
-          
-          // Check if columns exist and add them if they don't
-          this.addMissingColumns();
-        }
-      });
-
-      // Create tasks_kimai table
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS tasks_kimai (
-          id INTEGER PRIMARY KEY,
-          kimai_project_id TEXT,
-          kimai_activity_id TEXT,
-          task_name TEXT,
-          parent_title TEXT,
-          created_at TEXT
-        )
-      `, (err) => {
-        if (err) {
-          logger.error(`Error creating tasks_kimai schema: ${err.message}`);
+          logger.error(`Error connecting to database: ${err.message}`);
+          reject(err);
         } else {
-          logger.info('Tasks_kimai table initialized');
+          logger.info('Connected to the time entries database');
+          this.db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+          resolve();
         }
       });
+    }).then(async () => {
+      if (migrate) {
+        await this.migrate();
+        await this.applyMappingRules(Config.getMappingRules());
+      }
     });
+    // Callers that never await readiness should not crash the process on a failed open
+    this.ready.catch(() => {});
   }
-  
+
   /**
-   * Add missing columns to the tasks table if they don't exist
+   * Apply pending schema migrations in order, each in its own transaction.
+   * A failing migration is rolled back and stops the run with an error. Each transaction
+   * takes the write lock up front and checks the version again, so a connection that opened
+   * the database at the same time as another skips what the other one already applied.
+   * @returns {Promise<Array<{version: number, name: string}>>} Migrations applied by this call
    */
-  addMissingColumns() {
-    // Check if the kimai columns exist
-    this.db.get("PRAGMA table_info(tasks)", (err, rows) => {
-      if (err) {
-        logger.error(`Error checking table schema: ${err.message}`);
-        return;
-      }
-      
-      // A helper function to add a column if it doesn't exist
-      const addColumnIfNeeded = (columnName) => {
-        return new Promise((resolve, reject) => {
-          this.db.run(`ALTER TABLE tasks ADD COLUMN ${columnName} TEXT DEFAULT NULL`, (err) => {
-            if (err) {
-              // Column might already exist
-              logger.debug(`Note: ${columnName} column may already exist: ${err.message}`);
-            } else {
-              logger.info(`Added ${columnName} column to tasks table`);
-            }
-            resolve();
-          });
-        });
-      };
-      
-      // Add each column sequentially
-      this.db.serialize(async () => {
-        try {
-          await addColumnIfNeeded('kimai_project_id');
-          await addColumnIfNeeded('kimai_activity_id');
-          await addColumnIfNeeded('kimai_activity_name');
-          logger.info('Schema update complete');
-        } catch (error) {
-          logger.error(`Error updating schema: ${error.message}`);
+  async migrate() {
+    await this.execute(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const applied = new Set((await this.queryAll(`SELECT version FROM schema_version`)).map(row => row.version));
+    const latest = migrations[migrations.length - 1].version;
+    const newest = Math.max(0, ...applied);
+
+    if (newest > latest) {
+      throw new Error(`Database schema version ${newest} is newer than this tool supports (${latest}); update the tool`);
+    }
+
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+    const appliedNow = [];
+
+    for (const migration of pending) {
+      await this.execute('BEGIN IMMEDIATE');
+
+      try {
+        const [done] = await this.queryAll(`SELECT version FROM schema_version WHERE version = ?`, [migration.version]);
+        if (done) {
+          await this.execute('COMMIT');
+          continue;
         }
-      });
-    });
+
+        logger.info(`Applying migration ${migration.version}: ${migration.name}`);
+        await migration.up(this);
+        await this.execute(
+          `INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)`,
+          [migration.version, migration.name, new Date().toISOString()]
+        );
+        await this.execute('COMMIT');
+        appliedNow.push({ version: migration.version, name: migration.name });
+      } catch (error) {
+        await this.execute('ROLLBACK').catch(() => {});
+        logger.error(`Migration ${migration.version} failed and was rolled back: ${error.message}`);
+        throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+      }
+    }
+
+    if (appliedNow.length > 0) {
+      logger.info(`Database schema migrated to version ${latest}`);
+    }
+    return appliedNow;
+  }
+
+  /**
+   * Get every known migration with whether and when it was applied
+   * @returns {Promise<Array<{version: number, name: string, status: string, applied_at: string|null}>>} Migrations in order
+   */
+  async getSchemaStatus() {
+    const [table] = await this.queryAll(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'`);
+    const rows = table ? await this.queryAll(`SELECT version, applied_at FROM schema_version`) : [];
+    const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+
+    return migrations.map(({ version, name }) => ({
+      version,
+      name,
+      status: appliedAt.has(version) ? 'applied' : 'pending',
+      applied_at: appliedAt.get(version) || null
+    }));
+  }
+
+  /**
+   * Get the Harvest user an entry was tracked by, as stored in time_entries
+   * @param {Object} entry - Time entry from Harvest or a CSV export
+   * @returns {{id: string|null, name: string|null}} User ID and name; entries from CSV exports have no ID
+   */
+  getHarvestUser(entry) {
+    return {
+      id: entry.user?.id != null ? entry.user.id.toString() : null,
+      name: entry.user?.name || null
+    };
+  }
+
+  /**
+   * Get the billable status and rates of an entry, as stored in time_entries
+   * @param {Object} entry - Time entry from Harvest or a CSV export
+   * @returns {{billable: number|null, billableRate: number|null, costRate: number|null}} Billable flag (1 or 0) and hourly rates, null where unknown
+   */
+  getBilling(entry) {
+    return {
+      billable: typeof entry.billable === 'boolean' ? Number(entry.billable) : null,
+      billableRate: entry.billable_rate ?? null,
+      costRate: entry.cost_rate ?? null
+    };
+  }
+
+  /**
+   * Get the linked issue or card of an entry, as stored in time_entries
+   * @param {Object} entry - Time entry from Harvest or a CSV export
+   * @returns {{id: string|null, permalink: string|null}} Reference ID and link, null without one
+   */
+  getExternalReference(entry) {
+    return {
+      id: entry.external_reference?.id?.toString() || null,
+      permalink: entry.external_reference?.permalink || null
+    };
   }
 
   /**
@@ -147,7 +211,8 @@ class Storage {
       const harvestIds = entries.map(entry => entry.id.toString());
       
       this.db.all(
-        `SELECT harvest_id, date, client, project, task, notes, hours, started_time, ended_time 
+        `SELECT harvest_id, kimai_id, date, client, project, task, notes, hours, started_time, ended_time, deleted_at,
+                harvest_user_id, harvest_user_name, billable, billable_rate, cost_rate, external_reference, external_reference_permalink
          FROM time_entries 
          WHERE harvest_id IN (${harvestIds.map(() => '?').join(',')})`,
         harvestIds,
@@ -167,6 +232,7 @@ class Storage {
           const newEntries = [];
           const updatedEntries = [];
           const unchangedEntries = [];
+          const backfillEntries = [];
           
           entries.forEach(entry => {
             const harvestId = entry.id.toString();
@@ -175,6 +241,19 @@ class Storage {
             if (!existing) {
               newEntries.push(entry);
             } else {
+              const user = this.getHarvestUser(entry);
+              const billing = this.getBilling(entry);
+              const hasUser = existing.harvest_user_id !== null || existing.harvest_user_name !== null;
+              const hasBilling = existing.billable !== null;
+              const reference = this.getExternalReference(entry);
+              const hasReference = existing.external_reference !== null || existing.external_reference_permalink !== null;
+              
+              // Entries stored before users, billing and references were tracked learn them without counting as changed
+              if ((!hasUser && (user.id !== null || user.name !== null)) || (!hasBilling && billing.billable !== null) ||
+                  (!hasReference && (reference.id !== null || reference.permalink !== null))) {
+                backfillEntries.push(entry);
+              }
+              
               // Check if any fields have changed
               const hasChanged = 
                 existing.date !== entry.spent_date ||
@@ -184,7 +263,11 @@ class Storage {
                 existing.notes !== (entry.notes || '') ||
                 existing.hours !== entry.hours ||
                 existing.started_time !== entry.started_time ||
-                existing.ended_time !== entry.ended_time;
+                existing.ended_time !== entry.ended_time ||
+                (hasReference && (existing.external_reference !== reference.id || existing.external_reference_permalink !== reference.permalink)) ||
+                (hasUser && (existing.harvest_user_id !== user.id || existing.harvest_user_name !== user.name)) ||
+                (hasBilling && (existing.billable !== billing.billable || existing.billable_rate !== billing.billableRate || existing.cost_rate !== billing.costRate)) ||
+                existing.deleted_at !== null;
                 
               if (hasChanged) {
                 updatedEntries.push(entry);
@@ -196,6 +279,12 @@ class Storage {
           
           logger.info(`Found ${newEntries.length} new entries, ${updatedEntries.length} changed entries, and ${unchangedEntries.length} unchanged entries`);
           
+          // Changed entries that already reached Kimai get re-queued so the importer updates their timesheet
+          const requeuedCount = updatedEntries.filter(entry => existingEntriesMap.get(entry.id.toString()).kimai_id).length;
+          if (requeuedCount > 0) {
+            logger.info(`${requeuedCount} changed entries were already imported and are queued for a Kimai update`);
+          }
+          
           // Move these variables to a higher scope so they're available in all code blocks
           let insertedCount = 0;
           let insertErrorCount = 0;
@@ -203,12 +292,41 @@ class Storage {
           let updateErrorCount = 0;
           
           this.db.serialize(() => {
+            if (backfillEntries.length > 0) {
+              const backfillStmt = this.db.prepare(`
+                UPDATE time_entries
+                SET harvest_user_id = ?, harvest_user_name = ?, billable = ?, billable_rate = ?, cost_rate = ?,
+                    external_reference = ?, external_reference_permalink = ?
+                WHERE harvest_id = ?
+              `);
+              
+              backfillEntries.forEach(entry => {
+                const user = this.getHarvestUser(entry);
+                const billing = this.getBilling(entry);
+                const reference = this.getExternalReference(entry);
+                backfillStmt.run(user.id, user.name, billing.billable, billing.billableRate, billing.costRate, reference.id, reference.permalink, entry.id.toString());
+              });
+              
+              backfillStmt.finalize(err => {
+                if (err) {
+                  logger.error(`Error storing the users, billing and references of existing entries: ${err.message}`);
+                }
+                logger.info(`Stored the Harvest user, billing and external reference of ${backfillEntries.length} existing entries`);
+                
+                // Only resolve here if there is nothing else to process
+                if (newEntries.length === 0 && updatedEntries.length === 0) {
+                  resolve({ inserted: 0, updated: 0, unchanged: unchangedEntries.length });
+                }
+              });
+            }
+            
             // Process new entries
             if (newEntries.length > 0) {
               const insertStmt = this.db.prepare(`
                 INSERT INTO time_entries 
-                (harvest_id, date, client, project, task, notes, hours, started_time, ended_time, created_at)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                (harvest_id, date, client, project, task, notes, hours, started_time, ended_time, created_at, harvest_user_id, harvest_user_name,
+                 billable, billable_rate, cost_rate, external_reference, external_reference_permalink)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
               `);
               
               try {
@@ -227,6 +345,13 @@ class Storage {
                       entry.started_time,
                       entry.ended_time,
                       entry.created_at || new Date().toISOString(), // Use Harvest's created_at field if available
+                      this.getHarvestUser(entry).id,
+                      this.getHarvestUser(entry).name,
+                      this.getBilling(entry).billable,
+                      this.getBilling(entry).billableRate,
+                      this.getBilling(entry).costRate,
+                      this.getExternalReference(entry).id,
+                      this.getExternalReference(entry).permalink,
                       function(err) {
                         if (err) {
                           logger.error(`Error inserting time entry ${entry.id}: ${err.message}`);
@@ -268,7 +393,9 @@ class Storage {
               const updateStmt = this.db.prepare(`
                 UPDATE time_entries 
                 SET date = ?, client = ?, project = ?, task = ?, notes = ?, 
-                    hours = ?, started_time = ?, ended_time = ?
+                    hours = ?, started_time = ?, ended_time = ?, harvest_user_id = ?, harvest_user_name = ?,
+                    billable = ?, billable_rate = ?, cost_rate = ?, external_reference = ?, external_reference_permalink = ?, deleted_at = NULL,
+                    status = 'pending', attempts = 0, last_error = NULL
                 WHERE harvest_id = ?
               `);
               
@@ -286,6 +413,13 @@ class Storage {
                       entry.hours,
                       entry.started_time,
                       entry.ended_time,
+                      this.getHarvestUser(entry).id,
+                      this.getHarvestUser(entry).name,
+                      this.getBilling(entry).billable,
+                      this.getBilling(entry).billableRate,
+                      this.getBilling(entry).costRate,
+                      this.getExternalReference(entry).id,
+                      this.getExternalReference(entry).permalink,
                       entry.id.toString(),
                       function(err) {
                         if (err) {
@@ -319,7 +453,7 @@ class Storage {
                 logger.error(`Error in update operation: ${error.message}`);
                 reject(error);
               }
-            } else if (newEntries.length === 0) {
+            } else if (newEntries.length === 0 && backfillEntries.length === 0) {
               // If we had no changes at all, resolve immediately
               resolve({ inserted: 0, updated: 0, unchanged: unchangedEntries.length });
             }
@@ -519,107 +653,197 @@ class Storage {
   }
 
   /**
-   * Match Harvest tasks with Kimai activities
-   * @returns {Promise<{matched: number, unmatched: number}>}
+   * Run a query and resolve with all resulting rows
+   * @param {String} sql - SQL query
+   * @param {Array} params - Query parameters
+   * @returns {Promise<Array>} Result rows
    */
-  matchTasksWithActivities() {
+  queryAll(sql, params = []) {
     return new Promise((resolve, reject) => {
-      logger.info('Starting to match Harvest tasks with Kimai activities');
-      
-      // First, get all Kimai activities
-      this.db.all(
-        `SELECT kimai_project_id, kimai_activity_id, task_name 
-         FROM tasks_kimai`,
-        [],
-        (err, kimaiActivities) => {
-          if (err) {
-            logger.error(`Error fetching Kimai activities: ${err.message}`);
-            return reject(err);
-          }
-          
-          logger.info(`Found ${kimaiActivities.length} Kimai activities for matching`);
-          
-          if (kimaiActivities.length === 0) {
-            logger.warn('No Kimai activities found, skipping matching');
-            return resolve({ matched: 0, unmatched: 0 });
-          }
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
 
-          // Get all Harvest tasks
-          this.db.all(
-            `SELECT id, harvest_id, name FROM tasks`,
-            [],
-            (err, harvestTasks) => {
-              if (err) {
-                logger.error(`Error fetching Harvest tasks: ${err.message}`);
-                return reject(err);
-              }
+  /**
+   * Run a statement and resolve with its outcome
+   * @param {String} sql - SQL statement
+   * @param {Array} params - Statement parameters
+   * @returns {Promise<{lastID: number, changes: number}>} Statement outcome
+   */
+  execute(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ lastID: this.lastID, changes: this.changes });
+        }
+      });
+    });
+  }
 
-              logger.info(`Found ${harvestTasks.length} Harvest tasks for matching`);
-              
-              if (harvestTasks.length === 0) {
-                logger.warn('No Harvest tasks found, skipping matching');
-                return resolve({ matched: 0, unmatched: 0 });
-              }
+  /**
+   * Match Harvest tasks with Kimai activities by scored name similarity.
+   * The best candidate is stored as the task's automatic match when it scores at least
+   * `autoAccept` and no other candidate scores the same; candidates scoring at least `review`
+   * are queued in task_match_reviews instead, unless the task already has a mapping in task_mappings.
+   * @param {Object} thresholds - Score thresholds
+   * @param {Number} thresholds.autoAccept - Minimum score to accept a match without review
+   * @param {Number} thresholds.review - Minimum score to suggest a match for review
+   * @returns {Promise<{matched: number, unmatched: number, review: number}>}
+   */
+  async matchTasksWithActivities({ autoAccept, review }) {
+    logger.info('Starting to match Harvest tasks with Kimai activities');
 
-              let matchedCount = 0;
-              let unmatchedCount = harvestTasks.length;
-              let updatePromises = [];
-              
-              // Loop through Kimai activities
-              kimaiActivities.forEach(activity => {
-                // Find matching Harvest tasks (exact name match)
-                const matchingTask = harvestTasks.find(task => 
-                  task.name.trim().toLowerCase() === activity.task_name.trim().toLowerCase()
-                );
-                
-                if (matchingTask) {
-                  // Update the Harvest task with Kimai activity info
-                  updatePromises.push(
-                    new Promise((resolveSingle, rejectSingle) => {
-                      this.db.run(
-                        `UPDATE tasks 
-                         SET kimai_project_id = ?, 
-                             kimai_activity_id = ?, 
-                             kimai_activity_name = ?
-                         WHERE id = ?`,
-                        [
-                          activity.kimai_project_id, 
-                          activity.kimai_activity_id, 
-                          activity.task_name,
-                          matchingTask.id
-                        ],
-                        function(err) {
-                          if (err) {
-                            logger.error(`Error updating task ${matchingTask.id}: ${err.message}`);
-                            rejectSingle(err);
-                          } else {
-                            logger.debug(`Matched and updated: Harvest task "${matchingTask.name}" with Kimai activity "${activity.task_name}"`);
-                            matchedCount++;
-                            unmatchedCount--;
-                            resolveSingle();
-                          }
-                        }
-                      );
-                    })
-                  );
-                }
-              });
-              
-              // Wait for all updates to complete
-              Promise.all(updatePromises)
-                .then(() => {
-                  logger.info(`Task matching complete: ${matchedCount} matched, ${unmatchedCount} unmatched`);
-                  resolve({ matched: matchedCount, unmatched: unmatchedCount });
-                })
-                .catch(error => {
-                  logger.error(`Error in task matching: ${error.message}`);
-                  reject(error);
-                });
-            }
+    try {
+      const kimaiActivities = await this.queryAll(
+        `SELECT kimai_project_id, kimai_activity_id, task_name, parent_title FROM tasks_kimai`
+      );
+      logger.info(`Found ${kimaiActivities.length} Kimai activities for matching`);
+
+      if (kimaiActivities.length === 0) {
+        logger.warn('No Kimai activities found, skipping matching');
+        return { matched: 0, unmatched: 0, review: 0 };
+      }
+
+      const harvestTasks = await this.queryAll(`SELECT id, harvest_id, name FROM tasks`);
+      logger.info(`Found ${harvestTasks.length} Harvest tasks for matching`);
+
+      if (harvestTasks.length === 0) {
+        logger.warn('No Harvest tasks found, skipping matching');
+        return { matched: 0, unmatched: 0, review: 0 };
+      }
+
+      const mappedTasks = new Set(
+        (await this.queryAll(`SELECT harvest_task FROM task_mappings`)).map(row => row.harvest_task)
+      );
+      const rejected = new Set(
+        (await this.queryAll(`SELECT harvest_task, kimai_activity_id FROM task_match_reviews WHERE status = 'rejected'`))
+          .map(row => `${row.harvest_task}|${row.kimai_activity_id}`)
+      );
+
+      // Pending suggestions are recomputed on every run; approvals and rejections are kept
+      await this.execute(`DELETE FROM task_match_reviews WHERE status = 'pending'`);
+
+      let matchedCount = 0;
+      let unmatchedCount = 0;
+      let reviewCount = 0;
+      const now = new Date().toISOString();
+
+      for (const task of harvestTasks) {
+        const candidates = TaskMatcher.rankActivities(task.name, kimaiActivities);
+        const best = candidates[0];
+        // The same activity in several projects, e.g. "Alpha: Development" and "Beta: Development", scores the same
+        const tied = best ? candidates.filter(candidate => candidate.score === best.score).length : 0;
+
+        if (best && best.score >= autoAccept && tied === 1) {
+          await this.execute(
+            `UPDATE tasks
+             SET kimai_project_id = ?,
+                 kimai_activity_id = ?,
+                 kimai_activity_name = ?,
+                 match_score = ?
+             WHERE id = ?`,
+            [best.activity.kimai_project_id, best.activity.kimai_activity_id, best.activity.task_name, best.score, task.id]
           );
+          logger.debug(`Matched Harvest task "${task.name}" with Kimai activity "${best.activity.task_name}" (score ${best.score})`);
+          matchedCount++;
+          continue;
         }
-      );
-    });
+
+        unmatchedCount++;
+
+        if (mappedTasks.has(task.name)) {
+          continue;
+        }
+
+        // Suggest the best few candidates nobody has rejected yet, and all that tie for the best score
+        const suggestions = candidates
+          .filter(candidate => candidate.score >= review)
+          .filter(candidate => !rejected.has(`${task.name}|${candidate.activity.kimai_activity_id}`))
+          .filter((candidate, index) => index < 3 || candidate.score === best.score);
+
+        for (const candidate of suggestions) {
+          const result = await this.execute(
+            `INSERT OR IGNORE INTO task_match_reviews
+             (harvest_task, kimai_project_id, kimai_activity_id, kimai_activity_name, score, status, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)`,
+            [task.name, candidate.activity.kimai_project_id, candidate.activity.kimai_activity_id, candidate.activity.task_name, candidate.score, now, now]
+          );
+          reviewCount += result.changes;
+        }
+      }
+
+      logger.info(`Task matching complete: ${matchedCount} matched, ${unmatchedCount} unmatched, ${reviewCount} suggestions awaiting review`);
+      return { matched: matchedCount, unmatched: unmatchedCount, review: reviewCount };
+    } catch (error) {
+      logger.error(`Error in task matching: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get suggested task matches awaiting review
+   * @returns {Promise<Array>} Array of suggestions, best first per task
+   */
+  getMatchReviews() {
+    return this.queryAll(
+      `SELECT * FROM task_match_reviews WHERE status = 'pending' ORDER BY harvest_task, score DESC`
+    );
+  }
+
+  /**
+   * Approve a suggested match, turning it into a task mapping.
+   * Other pending suggestions for the same task are dropped.
+   * @param {Number} id - Suggestion ID
+   * @returns {Promise<Object>} The approved suggestion
+   */
+  async approveMatchReview(id) {
+    const [suggestion] = await this.queryAll(`SELECT * FROM task_match_reviews WHERE id = ? AND status = 'pending'`, [id]);
+
+    if (!suggestion) {
+      throw new Error(`No pending suggestion with ID ${id}`);
+    }
+
+    await this.setTaskMapping(suggestion.harvest_task, suggestion.kimai_project_id, suggestion.kimai_activity_id, 'review');
+    await this.execute(
+      `UPDATE task_match_reviews SET status = 'approved', updated_at = ? WHERE id = ?`,
+      [new Date().toISOString(), id]
+    );
+    await this.execute(
+      `DELETE FROM task_match_reviews WHERE harvest_task = ? AND status = 'pending'`,
+      [suggestion.harvest_task]
+    );
+
+    logger.info(`Approved match of task "${suggestion.harvest_task}" with Kimai activity "${suggestion.kimai_activity_name}"`);
+    return suggestion;
+  }
+
+  /**
+   * Reject a suggested match so it is not suggested again
+   * @param {Number} id - Suggestion ID
+   * @returns {Promise<Object>} The rejected suggestion
+   */
+  async rejectMatchReview(id) {
+    const [suggestion] = await this.queryAll(`SELECT * FROM task_match_reviews WHERE id = ? AND status = 'pending'`, [id]);
+
+    if (!suggestion) {
+      throw new Error(`No pending suggestion with ID ${id}`);
+    }
+
+    await this.execute(
+      `UPDATE task_match_reviews SET status = 'rejected', updated_at = ? WHERE id = ?`,
+      [new Date().toISOString(), id]
+    );
+
+    logger.info(`Rejected match of task "${suggestion.harvest_task}" with Kimai activity "${suggestion.kimai_activity_name}"`);
+    return suggestion;
   }
 
   /**
@@ -655,7 +879,390 @@ class Storage {
   }
 
   /**
-   * Get pending entries that haven't been imported to Kimai
+   * Get a mapping from task_mappings
+   * @param {String} harvestTask - Harvest task name
+   * @returns {Promise<Object|undefined>} Mapping, if one exists
+   */
+  getTaskMapping(harvestTask) {
+    return new Promise((resolve, reject) => {
+      this.db.get(`SELECT * FROM task_mappings WHERE harvest_task = ?`, [harvestTask], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get the effective mapping of every known Harvest task, mapped or not
+   * @returns {Promise<Array>} Array of mappings with their source (config, manual, auto or none)
+   */
+  getTaskMappings() {
+    return new Promise((resolve, reject) => {
+      this.db.all(`
+        SELECT m.harvest_task, m.kimai_project_id, m.kimai_activity_id, m.source, m.updated_at
+        FROM task_mappings m
+        UNION ALL
+        SELECT t.name, t.kimai_project_id, t.kimai_activity_id,
+          CASE WHEN t.kimai_activity_id IS NOT NULL THEN 'auto' ELSE 'none' END, t.updated_at
+        FROM tasks t
+        WHERE t.name NOT IN (SELECT harvest_task FROM task_mappings)
+        ORDER BY 1
+      `, [], (err, rows) => {
+        if (err) {
+          logger.error(`Error fetching task mappings: ${err.message}`);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  /**
+   * Create or replace a mapping in task_mappings
+   * @param {String} harvestTask - Harvest task name
+   * @param {String|null} kimaiProjectId - Kimai project ID, if the activity needs one
+   * @param {String} kimaiActivityId - Kimai activity ID
+   * @param {String} source - Where the mapping came from
+   * @returns {Promise<void>}
+   */
+  setTaskMapping(harvestTask, kimaiProjectId, kimaiActivityId, source = 'manual') {
+    return new Promise((resolve, reject) => {
+      const now = new Date().toISOString();
+      this.db.run(`
+        INSERT INTO task_mappings (harvest_task, kimai_project_id, kimai_activity_id, source, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(harvest_task) DO UPDATE SET
+          kimai_project_id = excluded.kimai_project_id,
+          kimai_activity_id = excluded.kimai_activity_id,
+          source = excluded.source,
+          updated_at = excluded.updated_at
+      `, [harvestTask, kimaiProjectId, kimaiActivityId, source, now, now], function(err) {
+        if (err) {
+          logger.error(`Error saving mapping for task "${harvestTask}": ${err.message}`);
+          reject(err);
+        } else {
+          logger.debug(`Mapped task "${harvestTask}" to Kimai project ${kimaiProjectId}, activity ${kimaiActivityId}`);
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Remove a mapping from task_mappings
+   * @param {String} harvestTask - Harvest task name
+   * @returns {Promise<number>} Number of mappings removed
+   */
+  removeTaskMapping(harvestTask) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`DELETE FROM task_mappings WHERE harvest_task = ?`, [harvestTask], function(err) {
+        if (err) {
+          logger.error(`Error removing mapping for task "${harvestTask}": ${err.message}`);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get a mapping from project_mappings
+   * @param {String} harvestClient - Harvest client name
+   * @param {String} harvestProject - Harvest project name
+   * @returns {Promise<Object|undefined>} Mapping, if one exists
+   */
+  getProjectMapping(harvestClient, harvestProject) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT * FROM project_mappings WHERE harvest_client = ? AND harvest_project = ?`,
+        [harvestClient, harvestProject],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Get the mapping of every Harvest client/project pair seen in time entries, mapped or not
+   * @returns {Promise<Array>} Array of mappings with their source (config, manual, auto or none)
+   */
+  getProjectMappings() {
+    return this.queryAll(`
+      SELECT harvest_client, harvest_project, kimai_customer_id, kimai_project_id, source, updated_at
+      FROM project_mappings
+      UNION ALL
+      SELECT DISTINCT te.client, te.project, NULL, NULL, 'none', NULL
+      FROM time_entries te
+      WHERE NOT EXISTS (
+        SELECT 1 FROM project_mappings pm
+        WHERE pm.harvest_client = te.client AND pm.harvest_project = te.project
+      )
+      ORDER BY 1, 2
+    `);
+  }
+
+  /**
+   * Get the distinct Harvest client/project pairs seen in time entries
+   * @returns {Promise<Array<{client: string, project: string}>>} Client/project pairs
+   */
+  getHarvestProjects() {
+    return this.queryAll(`SELECT DISTINCT client, project FROM time_entries ORDER BY client, project`);
+  }
+
+  /**
+   * Create or replace a mapping in project_mappings.
+   * Automatic mappings never replace a mapping from any other source.
+   * @param {String} harvestClient - Harvest client name
+   * @param {String} harvestProject - Harvest project name
+   * @param {String|null} kimaiCustomerId - Kimai customer ID
+   * @param {String} kimaiProjectId - Kimai project ID
+   * @param {String} source - Where the mapping came from
+   * @returns {Promise<number>} Number of mappings written
+   */
+  async setProjectMapping(harvestClient, harvestProject, kimaiCustomerId, kimaiProjectId, source = 'manual') {
+    const now = new Date().toISOString();
+    const result = await this.execute(`
+      INSERT INTO project_mappings
+      (harvest_client, harvest_project, kimai_customer_id, kimai_project_id, source, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(harvest_client, harvest_project) DO UPDATE SET
+        kimai_customer_id = excluded.kimai_customer_id,
+        kimai_project_id = excluded.kimai_project_id,
+        source = excluded.source,
+        updated_at = excluded.updated_at
+      WHERE excluded.source != 'auto' OR project_mappings.source = 'auto'
+    `, [harvestClient, harvestProject, kimaiCustomerId, kimaiProjectId, source, now, now]);
+
+    if (result.changes > 0) {
+      logger.debug(`Mapped "${harvestClient}: ${harvestProject}" to Kimai customer ${kimaiCustomerId}, project ${kimaiProjectId}`);
+    }
+    return result.changes;
+  }
+
+  /**
+   * Find the key a Harvest user is mapped by, from the user's ID or name as seen in time entries
+   * @param {String} harvestUser - Harvest user ID or name
+   * @returns {Promise<{harvest_user: string, harvest_user_name: string|null}|undefined>} Key and name, if the user is known
+   * @throws {Error} When the name belongs to several Harvest users
+   */
+  async findHarvestUser(harvestUser) {
+    const users = await this.queryAll(`
+      SELECT DISTINCT ${HARVEST_USER_KEY} AS harvest_user, te.harvest_user_name
+      FROM time_entries te
+      WHERE te.harvest_user_id = ? OR te.harvest_user_name = ?
+    `, [harvestUser, harvestUser]);
+    const byId = users.find(user => user.harvest_user === harvestUser);
+
+    if (users.length > 1 && !byId) {
+      throw new Error(`Several Harvest users are called "${harvestUser}"; use the user ID instead: ${users.map(user => user.harvest_user).join(', ')}`);
+    }
+    return byId || users[0];
+  }
+
+  /**
+   * Get the mapping of a Harvest user
+   * @param {String} harvestUser - Harvest user ID, or name for users only known from CSV exports
+   * @returns {Promise<Object|undefined>} Mapping, if one exists
+   */
+  async getUserMapping(harvestUser) {
+    const [mapping] = await this.queryAll(`SELECT * FROM user_mappings WHERE harvest_user = ?`, [harvestUser]);
+    return mapping;
+  }
+
+  /**
+   * Get the Kimai user of every Harvest user seen in time entries, mapped or not
+   * @returns {Promise<Array>} Array of users with their mapping source (config, manual or none)
+   */
+  getUserMappings() {
+    return this.queryAll(`
+      SELECT users.harvest_user, users.harvest_user_name, um.kimai_user_id, COALESCE(um.source, 'none') AS source, um.updated_at
+      FROM (
+        SELECT ${HARVEST_USER_KEY} AS harvest_user, MAX(te.harvest_user_name) AS harvest_user_name
+        FROM time_entries te
+        WHERE ${HARVEST_USER_KEY} IS NOT NULL
+        GROUP BY 1
+      ) users
+      LEFT JOIN user_mappings um ON um.harvest_user = users.harvest_user
+      UNION ALL
+      SELECT um.harvest_user, NULL, um.kimai_user_id, um.source, um.updated_at
+      FROM user_mappings um
+      WHERE NOT EXISTS (SELECT 1 FROM time_entries te WHERE ${HARVEST_USER_KEY} = um.harvest_user)
+      ORDER BY 2, 1
+    `);
+  }
+
+  /**
+   * Tell whether any Harvest user is mapped to a Kimai user. Until one is, every entry is
+   * imported as the owner of the Kimai API token.
+   * @returns {Promise<Boolean>} True if timesheets are created for mapped users
+   */
+  async hasUserMappings() {
+    const [row] = await this.queryAll(`SELECT COUNT(*) AS count FROM user_mappings`);
+    return row.count > 0;
+  }
+
+  /**
+   * Create or replace the mapping of a Harvest user
+   * @param {String} harvestUser - Harvest user ID, or name for users only known from CSV exports
+   * @param {String} kimaiUserId - Kimai user ID
+   * @param {String} source - Where the mapping came from
+   * @returns {Promise<number>} Number of mappings written
+   */
+  async setUserMapping(harvestUser, kimaiUserId, source = 'manual') {
+    const now = new Date().toISOString();
+    const result = await this.execute(`
+      INSERT INTO user_mappings (harvest_user, kimai_user_id, source, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(harvest_user) DO UPDATE SET
+        kimai_user_id = excluded.kimai_user_id,
+        source = excluded.source,
+        updated_at = excluded.updated_at
+    `, [harvestUser, kimaiUserId, source, now, now]);
+
+    logger.debug(`Mapped Harvest user ${harvestUser} to Kimai user ${kimaiUserId}`);
+    return result.changes;
+  }
+
+  /**
+   * Remove the mapping of a Harvest user
+   * @param {String} harvestUser - Harvest user ID, or name for users only known from CSV exports
+   * @returns {Promise<number>} Number of mappings removed
+   */
+  async removeUserMapping(harvestUser) {
+    const result = await this.execute(`DELETE FROM user_mappings WHERE harvest_user = ?`, [harvestUser]);
+    return result.changes;
+  }
+
+  /**
+   * Store the mapping rules of the config profile with source 'config', replacing manual and
+   * automatic mappings of the same task, project or user, and drop config mappings no longer in the profile
+   * @param {{tasks: Array<Object>, projects: Array<Object>, users: Array<Object>}} rules - Rules from Config.getMappingRules
+   * @returns {Promise<void>}
+   */
+  async applyMappingRules({ tasks, projects, users }) {
+    const [staleTasks, staleProjects, staleUsers] = await Promise.all([
+      this.queryAll(`SELECT harvest_task FROM task_mappings WHERE source = 'config'`),
+      this.queryAll(`SELECT harvest_client, harvest_project FROM project_mappings WHERE source = 'config'`),
+      this.queryAll(`SELECT harvest_user FROM user_mappings WHERE source = 'config'`)
+    ]);
+
+    for (const rule of tasks) {
+      await this.setTaskMapping(rule.task, rule.kimaiProjectId, rule.kimaiActivityId, 'config');
+    }
+    for (const rule of projects) {
+      await this.setProjectMapping(rule.client, rule.project, rule.kimaiCustomerId, rule.kimaiProjectId, 'config');
+    }
+    // Users named in the profile are mapped by their ID once entries show it
+    const userKeys = [];
+    for (const rule of users) {
+      const known = await this.findHarvestUser(rule.harvestUser);
+      userKeys.push(known ? known.harvest_user : rule.harvestUser);
+      await this.setUserMapping(userKeys[userKeys.length - 1], rule.kimaiUserId, 'config');
+    }
+
+    for (const { harvest_task } of staleTasks.filter(row => !tasks.some(rule => rule.task === row.harvest_task))) {
+      await this.removeTaskMapping(harvest_task);
+    }
+    for (const row of staleProjects.filter(row => !projects.some(rule => rule.client === row.harvest_client && rule.project === row.harvest_project))) {
+      await this.removeProjectMapping(row.harvest_client, row.harvest_project);
+    }
+    for (const { harvest_user } of staleUsers.filter(row => !userKeys.includes(row.harvest_user))) {
+      await this.removeUserMapping(harvest_user);
+    }
+
+    if (tasks.length + projects.length + users.length > 0) {
+      logger.debug(`Applied ${tasks.length} task, ${projects.length} project and ${users.length} user mapping rules from the config profile`);
+    }
+  }
+
+  /**
+   * Remove a mapping from project_mappings
+   * @param {String} harvestClient - Harvest client name
+   * @param {String} harvestProject - Harvest project name
+   * @returns {Promise<number>} Number of mappings removed
+   */
+  async removeProjectMapping(harvestClient, harvestProject) {
+    const result = await this.execute(
+      `DELETE FROM project_mappings WHERE harvest_client = ? AND harvest_project = ?`,
+      [harvestClient, harvestProject]
+    );
+    return result.changes;
+  }
+
+  /**
+   * Get when time entries of a Harvest account were last extracted successfully
+   * @param {String} accountId - Harvest account ID
+   * @returns {Promise<String|null>} ISO timestamp, or null if never
+   */
+  async getLastSyncedAt(accountId) {
+    const [row] = await this.queryAll(`SELECT last_synced_at FROM sync_state WHERE account_id = ?`, [accountId]);
+    return row ? row.last_synced_at : null;
+  }
+
+  /**
+   * Get the extraction cursor of every Harvest account synced so far
+   * @returns {Promise<Array<{account_id: string, last_synced_at: string}>>} Cursors per account
+   */
+  getSyncStates() {
+    return this.queryAll(`SELECT account_id, last_synced_at FROM sync_state ORDER BY account_id`);
+  }
+
+  /**
+   * Record a successful extraction of a Harvest account's time entries
+   * @param {String} accountId - Harvest account ID
+   * @param {String} syncedAt - ISO timestamp the extraction started at
+   * @returns {Promise<void>}
+   */
+  async setLastSyncedAt(accountId, syncedAt) {
+    await this.execute(
+      `INSERT INTO sync_state (account_id, last_synced_at, updated_at)
+       VALUES (?, ?, ?)
+       ON CONFLICT(account_id) DO UPDATE SET
+         last_synced_at = excluded.last_synced_at,
+         updated_at = excluded.updated_at`,
+      [accountId, syncedAt, new Date().toISOString()]
+    );
+  }
+
+  /**
+   * Get all stored entries within a date range, whatever their import state
+   * @param {String} from - Start date
+   * @param {String} to - End date
+   * @returns {Promise<Array>} Array of entries
+   */
+  getEntries(from, to) {
+    return this.queryAll(
+      `SELECT * FROM time_entries WHERE date >= ? AND date <= ? ORDER BY date`,
+      [from, to]
+    );
+  }
+
+  /**
+   * Get all stored entries within a date range with their effective Kimai mapping,
+   * whatever their import state
+   * @param {String} from - Start date
+   * @param {String} to - End date
+   * @returns {Promise<Array>} Array of entries with project and task mapping
+   */
+  getMappedEntries(from, to) {
+    return this.queryAll(
+      `${MAPPED_ENTRIES_QUERY} WHERE te.date >= ? AND te.date <= ? ORDER BY te.date`,
+      [from, to]
+    );
+  }
+
+  /**
+   * Get entries awaiting import to Kimai
    * @param {String} from - Start date
    * @param {String} to - End date
    * @returns {Promise<Array>} Array of entries
@@ -664,9 +1271,9 @@ class Storage {
     return new Promise((resolve, reject) => {
       this.db.all(`
         SELECT * FROM time_entries 
-        WHERE imported = 0
+        WHERE status IN (${IMPORTABLE_STATES.map(() => '?').join(',')})
         AND date >= ? AND date <= ?
-      `, [from, to], (err, rows) => {
+      `, [...IMPORTABLE_STATES, from, to], (err, rows) => {
         if (err) {
           reject(err);
         } else {
@@ -677,17 +1284,30 @@ class Storage {
   }
   
   /**
-   * Get all pending entries that haven't been imported to Kimai
-   * @returns {Promise<Array>} Array of entries with task mapping
+   * Get all entries awaiting import to Kimai: pending, skipped for a missing mapping, or
+   * failed for a reason that may go away.
+   * Entries that still carry a kimai_id were changed in Harvest after their import
+   * and need their existing Kimai timesheet updated.
+   * @param {Object} options - Selection options
+   * @param {Boolean} options.retryFailed - Only select entries whose previous import failed
+   * @param {Number} options.maxAttempts - Leave out failed entries with this many attempts or more
+   * @param {String} options.from - Optional start date (YYYY-MM-DD) to limit the entries to
+   * @param {String} options.to - Optional end date (YYYY-MM-DD) to limit the entries to
+   * @param {String} options.user - Optional Harvest user ID or name to limit the entries to
+   * @returns {Promise<Array>} Array of entries with project, task and user mapping
    */
-  getAllPendingEntries() {
+  getAllPendingEntries({ retryFailed = false, maxAttempts = null, from = null, to = null, user = null } = {}) {
+    const states = retryFailed ? [EntryState.FAILED_RETRYABLE] : IMPORTABLE_STATES;
+    
     return new Promise((resolve, reject) => {
       this.db.all(`
-        SELECT te.*, t.kimai_project_id, t.kimai_activity_id 
-        FROM time_entries te
-        LEFT JOIN tasks t ON te.task = t.name
-        WHERE te.imported = 0
-      `, [], (err, rows) => {
+        ${MAPPED_ENTRIES_QUERY}
+        WHERE te.status IN (${states.map(() => '?').join(',')})
+        AND (te.status != 'failed-retryable' OR ? IS NULL OR te.attempts < ?)
+        AND (? IS NULL OR te.date >= ?)
+        AND (? IS NULL OR te.date <= ?)
+        AND (? IS NULL OR te.harvest_user_id = ? OR te.harvest_user_name = ?)
+      `, [...states, maxAttempts, maxAttempts, from, from, to, to, user, user, user], (err, rows) => {
         if (err) {
           logger.error(`Error fetching pending entries: ${err.message}`);
           reject(err);
@@ -700,7 +1320,86 @@ class Storage {
   }
 
   /**
-   * Mark an entry as imported
+   * Mark stored entries in a date range as deleted when Harvest no longer returns them.
+   * Entries from CSV exports are left alone, the API does not know them.
+   * @param {String} from - Start date
+   * @param {String} to - End date
+   * @param {Array<String>} harvestIds - IDs of the entries Harvest returned for the range
+   * @returns {Promise<number>} Number of entries newly marked as deleted
+   */
+  markDeletedEntries(from, to, harvestIds) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        UPDATE time_entries
+        SET deleted_at = ?, status = 'deleted'
+        WHERE deleted_at IS NULL
+        AND date >= ? AND date <= ?
+        AND harvest_id NOT IN (${harvestIds.map(() => '?').join(',')})
+        AND harvest_id NOT LIKE ?
+      `, [new Date().toISOString(), from, to, ...harvestIds, `${CSV_ID_PREFIX}%`], function(err) {
+        if (err) {
+          logger.error(`Error marking deleted entries: ${err.message}`);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get entries deleted in Harvest that still have a timesheet in Kimai
+   * @param {Object} options - Selection options
+   * @param {String} options.from - Optional start date (YYYY-MM-DD) to limit the entries to
+   * @param {String} options.to - Optional end date (YYYY-MM-DD) to limit the entries to
+   * @param {String} options.user - Optional Harvest user ID or name to limit the entries to
+   * @returns {Promise<Array>} Array of entries
+   */
+  getDeletedEntries({ from = null, to = null, user = null } = {}) {
+    return new Promise((resolve, reject) => {
+      this.db.all(`
+        SELECT * FROM time_entries
+        WHERE status = 'deleted' AND kimai_id IS NOT NULL
+        AND (? IS NULL OR date >= ?)
+        AND (? IS NULL OR date <= ?)
+        AND (? IS NULL OR harvest_user_id = ? OR harvest_user_name = ?)
+      `, [from, from, to, to, user, user, user], (err, rows) => {
+        if (err) {
+          logger.error(`Error fetching deleted entries: ${err.message}`);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  /**
+   * Forget the Kimai timesheet of an entry after it was deleted from Kimai.
+   * Entries still present in Harvest become pending again.
+   * @param {String} harvestId - Harvest entry ID
+   * @returns {Promise<void>}
+   */
+  markKimaiTimesheetDeleted(harvestId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        UPDATE time_entries
+        SET kimai_id = NULL,
+            status = CASE WHEN deleted_at IS NULL THEN 'pending' ELSE 'deleted' END
+        WHERE harvest_id = ?
+      `, [harvestId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          logger.debug(`Removed Kimai link of deleted entry ${harvestId}`);
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Mark an entry as imported. Only failures count as attempts, see markEntryFailed.
    * @param {String} harvestId - Harvest entry ID
    * @param {String} kimaiId - Kimai entry ID
    * @returns {Promise<void>}
@@ -709,7 +1408,7 @@ class Storage {
     return new Promise((resolve, reject) => {
       this.db.run(`
         UPDATE time_entries
-        SET imported = 1, kimai_id = ?
+        SET status = 'imported', kimai_id = ?, last_error = NULL
         WHERE harvest_id = ?
       `, [kimaiId, harvestId], function(err) {
         if (err) {
@@ -722,18 +1421,235 @@ class Storage {
     });
   }
 
+  /**
+   * Link an entry to the Kimai timesheet carrying its Harvest marker. The entry counts as
+   * imported, unless it was deleted in Harvest, which keeps it deleted so the timesheet is
+   * still handled as orphaned, or it was queued with a Kimai ID to push a change from
+   * Harvest, which keeps it queued to update the linked timesheet.
+   * @param {String} harvestId - Harvest entry ID
+   * @param {String} kimaiId - Kimai timesheet ID
+   * @returns {Promise<void>}
+   */
+  linkKimaiTimesheet(harvestId, kimaiId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        UPDATE time_entries
+        SET status = CASE
+              WHEN deleted_at IS NOT NULL THEN 'deleted'
+              WHEN kimai_id IS NOT NULL AND status IN (${IMPORTABLE_STATES.map(() => '?').join(',')}) THEN status
+              ELSE 'imported'
+            END,
+            last_error = CASE WHEN deleted_at IS NULL AND kimai_id IS NOT NULL AND status IN (${IMPORTABLE_STATES.map(() => '?').join(',')}) THEN last_error ELSE NULL END,
+            kimai_id = ?
+        WHERE harvest_id = ?
+      `, [...IMPORTABLE_STATES, ...IMPORTABLE_STATES, kimaiId, harvestId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          logger.debug(`Linked entry ${harvestId} to Kimai timesheet ${kimaiId}`);
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Record a failed import attempt of an entry
+   * @param {String} harvestId - Harvest entry ID
+   * @param {String} error - Error message
+   * @param {Object} options - Options
+   * @param {Boolean} options.permanent - The failure will not go away by retrying
+   * @param {String|null} options.kimaiId - Kimai timesheet created before the failure, which a retry updates
+   * @returns {Promise<void>}
+   */
+  async markEntryFailed(harvestId, error, { permanent = false, kimaiId = null } = {}) {
+    await this.execute(
+      `UPDATE time_entries SET status = ?, last_error = ?, attempts = attempts + 1, kimai_id = COALESCE(?, kimai_id) WHERE harvest_id = ?`,
+      [permanent ? EntryState.FAILED_PERMANENT : EntryState.FAILED_RETRYABLE, error, kimaiId, harvestId]
+    );
+  }
+
+  /**
+   * Record that an entry was skipped because it has no Kimai project or activity
+   * @param {String} harvestId - Harvest entry ID
+   * @param {String} reason - Why the entry was skipped
+   * @returns {Promise<void>}
+   */
+  async markEntrySkipped(harvestId, reason) {
+    await this.execute(
+      `UPDATE time_entries SET status = ?, last_error = ? WHERE harvest_id = ?`,
+      [EntryState.SKIPPED_UNMAPPED, reason, harvestId]
+    );
+  }
+
+  /**
+   * Mark entries as exported to a file for a Kimai instance this tool cannot reach,
+   * so later imports and exports leave them out. The export time stays with an entry that
+   * changes in Harvest afterwards, so it is not exported a second time.
+   * @param {Array<String>} harvestIds - Harvest IDs of the exported entries
+   * @returns {Promise<void>}
+   */
+  async markEntriesExported(harvestIds) {
+    if (harvestIds.length === 0) {
+      return;
+    }
+    await this.execute(
+      `UPDATE time_entries SET status = ?, last_error = NULL, exported_at = ? WHERE harvest_id IN (${harvestIds.map(() => '?').join(',')})`,
+      [EntryState.EXPORTED, new Date().toISOString(), ...harvestIds]
+    );
+  }
+
+  /**
+   * Put all entries in a state back to pending, forgetting their errors and attempts.
+   * Cleared exported entries also forget their export, so the next export includes them.
+   * @param {String} state - State to clear
+   * @returns {Promise<number>} Number of entries reset
+   */
+  async clearEntryState(state) {
+    const result = await this.execute(
+      `UPDATE time_entries
+       SET status = ?, last_error = NULL, attempts = 0, exported_at = CASE WHEN status = ? THEN NULL ELSE exported_at END
+       WHERE status = ?`,
+      [EntryState.PENDING, EntryState.EXPORTED, state]
+    );
+    return result.changes;
+  }
+
+  /**
+   * Count entries per lifecycle state
+   * @param {Object} options - Selection options
+   * @param {String} options.from - Optional start date (YYYY-MM-DD) to limit the count to
+   * @param {String} options.to - Optional end date (YYYY-MM-DD) to limit the count to
+   * @returns {Promise<Object>} Number of entries per state, including empty states
+   */
+  async getStateCounts({ from = null, to = null } = {}) {
+    const rows = await this.queryAll(`
+      SELECT status, COUNT(*) AS count FROM time_entries
+      WHERE (? IS NULL OR date >= ?) AND (? IS NULL OR date <= ?)
+      GROUP BY status
+    `, [from, from, to, to]);
+    const counts = Object.fromEntries(Object.values(EntryState).map(state => [state, 0]));
+
+    rows.forEach(row => {
+      counts[row.status] = row.count;
+    });
+    return counts;
+  }
+
+  /**
+   * Record the start of an extract or import run
+   * @param {String} kind - Kind of run, e.g. extract or import
+   * @param {Object} args - Arguments the run was started with
+   * @returns {Promise<number>} Run ID
+   */
+  async startRun(kind, args) {
+    const result = await this.execute(
+      `INSERT INTO runs (kind, arguments, status, started_at) VALUES (?, ?, 'running', ?)`,
+      [kind, JSON.stringify(args), new Date().toISOString()]
+    );
+    return result.lastID;
+  }
+
+  /**
+   * Record the end of a run
+   * @param {Number} runId - Run ID
+   * @param {String} status - succeeded, partial or failed
+   * @param {Object|null} counts - Counts reported by the run, if it got that far
+   * @param {String|null} error - Error that ended the run, if any
+   * @returns {Promise<void>}
+   */
+  async finishRun(runId, status, counts, error = null) {
+    await this.execute(
+      `UPDATE runs SET status = ?, counts = ?, error = ?, finished_at = ? WHERE id = ?`,
+      [status, counts ? JSON.stringify(counts) : null, error, new Date().toISOString(), runId]
+    );
+  }
+
+  /**
+   * Record what a run did to one entry
+   * @param {Number} runId - Run ID
+   * @param {Object} record - Audit record
+   * @param {String} record.harvestId - Harvest entry ID
+   * @param {String} record.action - What happened, e.g. created, updated, skip or failed
+   * @param {String|null} record.kimaiId - Kimai timesheet ID
+   * @param {Object|null} record.payload - Payload sent to Kimai
+   * @param {String|null} record.error - Error or skip reason
+   * @returns {Promise<void>}
+   */
+  async addRunEntry(runId, { harvestId, action, kimaiId = null, payload = null, error = null }) {
+    await this.execute(
+      `INSERT INTO run_entries (run_id, harvest_id, action, kimai_id, payload, error, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [runId, harvestId, action, kimaiId === null ? null : kimaiId.toString(), payload ? JSON.stringify(payload) : null, error, new Date().toISOString()]
+    );
+  }
+
+  /**
+   * Get the most recent runs
+   * @param {Object} filters - Run filters
+   * @param {String} filters.kind - Only runs of this kind
+   * @param {Number} filters.limit - Maximum number of runs
+   * @returns {Promise<Array>} Runs, newest first
+   */
+  getRuns({ kind = null, limit = 20 } = {}) {
+    return this.queryAll(
+      `SELECT * FROM runs WHERE ? IS NULL OR kind = ? ORDER BY id DESC LIMIT ?`,
+      [kind, kind, limit]
+    );
+  }
+
+  /**
+   * Get a run by ID
+   * @param {Number} runId - Run ID
+   * @returns {Promise<Object|null>} Run, or null if unknown
+   */
+  async getRun(runId) {
+    const [run] = await this.queryAll(`SELECT * FROM runs WHERE id = ?`, [runId]);
+    return run || null;
+  }
+
+  /**
+   * Get the audit records of a run
+   * @param {Number} runId - Run ID
+   * @returns {Promise<Array>} Records in the order they were written
+   */
+  getRunEntries(runId) {
+    return this.queryAll(`SELECT * FROM run_entries WHERE run_id = ? ORDER BY id`, [runId]);
+  }
+
+  /**
+   * Get every audit record of a Harvest entry across runs
+   * @param {String} harvestId - Harvest entry ID
+   * @returns {Promise<Array>} Records with their run's kind, oldest first
+   */
+  getEntryHistory(harvestId) {
+    return this.queryAll(
+      `SELECT re.*, r.kind
+       FROM run_entries re
+       JOIN runs r ON r.id = re.run_id
+       WHERE re.harvest_id = ?
+       ORDER BY re.id`,
+      [harvestId]
+    );
+  }
+
   /**
    * Close database connection
    */
   close() {
-    this.db.close(err => {
-      if (err) {
-        logger.error(`Error closing database: ${err.message}`);
-      } else {
-        logger.info('Database connection closed');
-      }
-    });
+    // Wait for the schema setup so none of its statements hit a closed handle
+    this.ready.finally(() => {
+      this.db.close(err => {
+        if (err) {
+          logger.error(`Error closing database: ${err.message}`);
+        } else {
+          logger.info('Database connection closed');
+        }
+      });
+    }).catch(() => {});
   }
 }
 
+Storage.EntryState = EntryState;
+
 module.exports = Storage;
@@ -1,15 +1,21 @@
-const axios = require('axios');
+const HttpClient = require('../utils/http');
 const logger = require('../utils/logger');
 const Config = require('../utils/config');
 
+// Harvest allows 100 requests per 15 seconds for each access token
+const RATE_LIMIT = { limit: 100, intervalMs: 15000 };
+
 /**
  * Harvest API client for interacting with Harvest time entries
  */
 class HarvestApi {
   constructor() {
     const { accessToken, accountId } = Config.getHarvestConfig();
+    this.accountId = accountId;
     
-    this.client = axios.create({
+    this.client = HttpClient.create({
+      ...Config.getHttpConfig(),
+      rateLimit: RATE_LIMIT,
       baseURL: 'https://api.harvestapp.com/v2',
       headers: {
         'Authorization': `Bearer ${accessToken}`,
@@ -22,13 +28,19 @@ class HarvestApi {
 
   /**
    * Fetch time entries from Harvest for a given date range
-   * @param {String} from - Start date (YYYY-MM-DD)
-   * @param {String} to - End date (YYYY-MM-DD)
+   * @param {String} from - Start date (YYYY-MM-DD), optional with updatedSince
+   * @param {String} to - End date (YYYY-MM-DD), optional with updatedSince
+   * @param {Object} options - Fetch options
+   * @param {String} options.updatedSince - Only fetch entries updated after this ISO timestamp
    * @returns {Promise<Array>} Array of time entries
    */
-  async getTimeEntries(from, to) {
+  async getTimeEntries(from, to, { updatedSince } = {}) {
     try {
-      logger.info(`Fetching Harvest time entries from ${from} to ${to}`);
+      if (updatedSince) {
+        logger.info(`Fetching Harvest time entries updated since ${updatedSince}${from ? ` from ${from} to ${to}` : ''}`);
+      } else {
+        logger.info(`Fetching Harvest time entries from ${from} to ${to}`);
+      }
       
       let allEntries = [];
       let page = 1;
@@ -40,6 +52,7 @@ class HarvestApi {
           params: {
             from,
             to,
+            updated_since: updatedSince,
             page
           }
         });
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const DateUtils = require('../utils/date');
+
+// Prefix of the synthetic IDs given to entries read from a CSV export
+const ID_PREFIX = 'csv-';
+
+// Columns of the Detailed Time Report an entry cannot do without
+const REQUIRED_COLUMNS = ['date', 'client', 'project', 'task', 'hours'];
+
+/**
+ * Reads Harvest "Detailed Time Report" CSV exports as an offline source of time entries
+ */
+class HarvestCsv {
+  /**
+   * Read an export and turn its rows into entries shaped like those of the Harvest API
+   * @param {String} filePath - CSV file exported from Harvest
+   * @returns {Array<Object>} Time entries
+   * @throws {Error} When the file lacks a required column or a row cannot be read
+   */
+  static read(filePath) {
+    return this.toEntries(this.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  /**
+   * Parse CSV text into rows of fields, honouring quoted fields with commas, quotes and line breaks
+   * @param {String} text - CSV text
+   * @returns {Array<Array<String>>} Rows of fields, without empty lines
+   */
+  static parse(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    // Excel and Harvest may start the file with a byte order mark
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+  }
+
+  /**
+   * Turn parsed export rows, header first, into time entries with stable synthetic IDs.
+   * The ID is derived from the row's content, so importing the same export again finds the
+   * same entries; identical rows are told apart by how often they occurred before.
+   * @param {Array<Array<String>>} rows - Parsed rows including the header
+   * @returns {Array<Object>} Time entries
+   * @throws {Error} When a required column is missing or a row cannot be read
+   */
+  static toEntries(rows) {
+    const [header = [], ...records] = rows;
+    const columns = new Map(header.map((name, index) => [name.trim().toLowerCase(), index]));
+    const missing = REQUIRED_COLUMNS.filter(column => !columns.has(column));
+
+    if (missing.length > 0) {
+      throw new Error(`Not a Harvest Detailed Time Report, missing columns: ${missing.join(', ')}`);
+    }
+
+    const value = (record, ...names) => {
+      const name = names.find(candidate => columns.has(candidate));
+      return name ? (record[columns.get(name)] || '').trim() : '';
+    };
+    const occurrences = new Map();
+
+    return records.map((record, index) => {
+      const row = index + 1;
+      const date = value(record, 'date');
+      const hours = this.parseHours(value(record, 'hours'));
+
+      if (!DateUtils.isValidDate(date)) {
+        throw new Error(`Row ${row}: date "${date}" is not in YYYY-MM-DD format`);
+      }
+      if (hours === null) {
+        throw new Error(`Row ${row}: hours "${value(record, 'hours')}" is not a number or h:mm duration`);
+      }
+
+      const rates = {};
+      for (const [field, column] of [['billable_rate', 'billable rate'], ['cost_rate', 'cost rate']]) {
+        rates[field] = this.parseRate(value(record, column));
+        if (rates[field] === undefined) {
+          throw new Error(`Row ${row}: ${column} "${value(record, column)}" is not a number`);
+        }
+      }
+      const billable = value(record, 'billable?', 'billable').toLowerCase();
+
+      const entry = {
+        spent_date: date,
+        client: { name: value(record, 'client') },
+        project: { name: value(record, 'project') },
+        task: { name: value(record, 'task') },
+        notes: value(record, 'notes'),
+        hours,
+        started_time: value(record, 'started at', 'start time') || null,
+        ended_time: value(record, 'ended at', 'end time') || null,
+        user: { name: [value(record, 'first name'), value(record, 'last name')].filter(Boolean).join(' ') },
+        // Exports without the billable column leave billing to Kimai
+        billable: ['yes', 'true', '1'].includes(billable) ? true : ['no', 'false', '0'].includes(billable) ? false : null,
+        ...rates,
+        external_reference: value(record, 'external reference url') ? { permalink: value(record, 'external reference url') } : null
+      };
+
+      const content = JSON.stringify([date, entry.client.name, entry.project.name, entry.task.name, entry.notes, hours, entry.user.name]);
+      const occurrence = occurrences.get(content) || 0;
+      occurrences.set(content, occurrence + 1);
+
+      return { id: this.syntheticId(content, occurrence), ...entry };
+    });
+  }
+
+  /**
+   * Parse the hours of a row, exported as decimal hours or as h:mm depending on account settings
+   * @param {String} value - Hours as exported
+   * @returns {Number|null} Decimal hours, or null if invalid
+   */
+  static parseHours(value) {
+    const duration = /^(\d+):(\d{2})$/.exec(value);
+
+    if (duration) {
+      return Math.round((parseInt(duration[1], 10) + parseInt(duration[2], 10) / 60) * 100) / 100;
+    }
+    return /^\d+(\.\d+)?$/.test(value) ? parseFloat(value) : null;
+  }
+
+  /**
+   * Parse a rate of a row
+   * @param {String} value - Rate as exported, possibly empty
+   * @returns {Number|null|undefined} Rate, null if empty, or undefined if invalid
+   */
+  static parseRate(value) {
+    if (value === '') {
+      return null;
+    }
+    return /^\d+(\.\d+)?$/.test(value) ? parseFloat(value) : undefined;
+  }
+
+  /**
+   * Derive the synthetic ID of an exported row
+   * @param {String} content - Serialized content of the row
+   * @param {Number} occurrence - Number of identical rows before this one
+   * @returns {String} ID such as csv-3f2a9c0d41b7e6a8
+   */
+  static syntheticId(content, occurrence) {
+    const hash = crypto.createHash('sha1').update(`${content}#${occurrence}`).digest('hex');
+    return `${ID_PREFIX}${hash.slice(0, 16)}`;
+  }
+}
+
+module.exports = HarvestCsv;
@@ -1,47 +1,160 @@
 const HarvestApi = require('./api');
+const HarvestCsv = require('./csv');
 const KimaiApi = require('../kimai/api');
 const Storage = require('../db/storage');
+const Config = require('../utils/config');
+const TaskMatcher = require('../utils/match');
 const logger = require('../utils/logger');
 
+// Incremental runs look back a little further than the cursor to absorb clock differences with Harvest
+const CURSOR_OVERLAP_MS = 60 * 1000;
+
 /**
  * Handles extraction of time entries from Harvest
  */
 class HarvestExtractor {
-  constructor() {
-    this.api = new HarvestApi();
-    this.kimaiApi = new KimaiApi();
+  /**
+   * @param {Object} options - Extractor options
+   * @param {Boolean} options.offline - Only read CSV exports, without Harvest or Kimai credentials
+   */
+  constructor({ offline = false } = {}) {
+    this.api = offline ? null : new HarvestApi();
+    this.kimaiApi = offline ? null : new KimaiApi();
     this.storage = new Storage();
   }
 
   /**
-   * Extract time entries for a given date range and store them
+   * Extract time entries for a given date range and store them.
+   * Only a backfill moves the sync cursor: changes outside the range of any other run would
+   * never be fetched by the next incremental extraction.
    * @param {String} from - Start date (YYYY-MM-DD)
    * @param {String} to - End date (YYYY-MM-DD)
-   * @returns {Promise<number>} Number of entries extracted
+   * @param {Object} options - Extraction options
+   * @param {Boolean} options.backfill - The range holds all entries to keep in sync, so incremental extraction continues from this run
+   * @returns {Promise<{retrieved: number, inserted: number, updated: number, unchanged: number, deleted: number}>} Number of entries retrieved and what happened to them
    */
-  async extractTimeEntries(from, to) {
+  async extractTimeEntries(from, to, { backfill = false } = {}) {
+    await this.storage.ready;
+    return this.trackRun('extract', { from, to, backfill }, async () => {
+      try {
+        logger.info(`Starting extraction of time entries from ${from} to ${to}`);
+        const startedAt = new Date().toISOString();
+        
+        // Get entries from Harvest
+        const entries = await this.api.getTimeEntries(from, to);
+        logger.info(`Retrieved ${entries.length} time entries from Harvest. First entry ID: ${entries[0]?.id}`);
+        
+        // Store entries in database
+        logger.info('Starting database storage operation for time entries');
+        console.log("Entries to store:", entries);
+        const result = await this.storage.storeHarvestEntries(entries);
+        
+        // Anything stored for this range that Harvest no longer returns was deleted there
+        const deleted = await this.storage.markDeletedEntries(from, to, entries.map(entry => entry.id.toString()));
+        if (deleted > 0) {
+          logger.warn(`${deleted} stored entries between ${from} and ${to} were deleted in Harvest`);
+        }
+        
+        // Verify entries were stored by retrieving them
+        const storedEntries = await this.getPendingEntries(from, to);
+        logger.info(`Verification: ${storedEntries.length} time entries found in database for the given date range`);
+        
+        // Log summary of changes
+        logger.info(`Sync summary: ${result.inserted} new entries, ${result.updated} updated entries, ${result.unchanged} unchanged entries, ${deleted} deleted entries`);
+        
+        if (backfill) {
+          await this.storage.setLastSyncedAt(this.api.accountId, startedAt);
+          logger.info(`Incremental extraction continues from ${startedAt}`);
+        }
+        return { retrieved: entries.length, ...result, deleted };
+      } catch (error) {
+        logger.error(`Error extracting time entries: ${error.stack}`);
+        throw error;
+      }
+    });
+  }
+  
+  /**
+   * Extract only the time entries updated in Harvest since the last backfill or unrestricted
+   * incremental extraction and merge them into storage. Deletions cannot be seen this way;
+   * a full extraction of a range still detects them. Runs limited to a date range leave the
+   * sync cursor alone, so the next unrestricted run still fetches changes outside that range.
+   * @param {String} from - Optional start date (YYYY-MM-DD) to limit the changes to
+   * @param {String} to - Optional end date (YYYY-MM-DD) to limit the changes to
+   * @returns {Promise<{retrieved: number, inserted: number, updated: number, unchanged: number}>} Number of changed entries retrieved and what happened to them
+   */
+  async extractUpdatedEntries(from, to) {
+    await this.storage.ready;
+    return this.trackRun('extract', { incremental: true, from, to }, async () => {
+      try {
+        const lastSyncedAt = await this.storage.getLastSyncedAt(this.api.accountId);
+        if (!lastSyncedAt) {
+          throw new Error(`No previous extraction recorded for Harvest account ${this.api.accountId}; run a backfill with --from/--to --backfill first`);
+        }
+        
+        logger.info(`Starting incremental extraction of time entries updated since ${lastSyncedAt}`);
+        const startedAt = new Date().toISOString();
+        const updatedSince = new Date(new Date(lastSyncedAt).getTime() - CURSOR_OVERLAP_MS).toISOString();
+        
+        const entries = await this.api.getTimeEntries(from, to, { updatedSince });
+        const result = await this.storage.storeHarvestEntries(entries);
+        
+        logger.info(`Incremental sync summary: ${result.inserted} new entries, ${result.updated} updated entries, ${result.unchanged} unchanged entries`);
+        
+        if (from || to) {
+          logger.info(`Run was limited to a date range, incremental extraction still continues from ${lastSyncedAt}`);
+        } else {
+          await this.storage.setLastSyncedAt(this.api.accountId, startedAt);
+        }
+        return { retrieved: entries.length, ...result };
+      } catch (error) {
+        logger.error(`Error extracting updated time entries: ${error.message}`);
+        throw error;
+      }
+    });
+  }
+  
+  /**
+   * Extract time entries from a Harvest "Detailed Time Report" CSV export and store them.
+   * Entries get synthetic IDs derived from their content, so importing the same export again
+   * leaves them unchanged. Rows removed from an export are not detected as deletions.
+   * @param {String} filePath - CSV file exported from Harvest
+   * @returns {Promise<{retrieved: number, inserted: number, updated: number, unchanged: number}>} Number of rows read and what happened to them
+   */
+  async extractCsvEntries(filePath) {
+    await this.storage.ready;
+    return this.trackRun('extract', { csv: filePath }, async () => {
+      try {
+        logger.info(`Starting extraction of time entries from CSV export ${filePath}`);
+        
+        const entries = HarvestCsv.read(filePath);
+        const result = await this.storage.storeHarvestEntries(entries);
+        
+        logger.info(`CSV sync summary: ${result.inserted} new entries, ${result.updated} updated entries, ${result.unchanged} unchanged entries`);
+        return { retrieved: entries.length, ...result };
+      } catch (error) {
+        logger.error(`Error extracting time entries from ${filePath}: ${error.message}`);
+        throw error;
+      }
+    });
+  }
+  
+  /**
+   * Record a run in the run history around the work it does
+   * @param {String} kind - Kind of run
+   * @param {Object} args - Arguments the run was started with
+   * @param {Function} work - Async function doing the work and resolving with its counts
+   * @returns {Promise<Object>} Counts of the work
+   */
+  async trackRun(kind, args, work) {
+    const runId = await this.storage.startRun(kind, args);
+    
     try {
-      logger.info(`Starting extraction of time entries from ${from} to ${to}`);
-      
-      // Get entries from Harvest
-      const entries = await this.api.getTimeEntries(from, to);
-      logger.info(`Retrieved ${entries.length} time entries from Harvest. First entry ID: ${entries[0]?.id}`);
-      
-      // Store entries in database
-      logger.info('Starting database storage operation for time entries');
-      console.log("Entries to store:", entries);
-      const result = await this.storage.storeHarvestEntries(entries);
-      
-      // Verify entries were stored by retrieving them
-      const storedEntries = await this.getPendingEntries(from, to);
-      logger.info(`Verification: ${storedEntries.length} time entries found in database for the given date range`);
-      
-      // Log summary of changes
-      logger.info(`Sync summary: ${result.inserted} new entries, ${result.updated} updated entries, ${result.unchanged} unchanged entries`);
-      
-      return entries.length;
+      const counts = await work();
+      await this.storage.finishRun(runId, 'succeeded', counts);
+      return counts;
     } catch (error) {
-      logger.error(`Error extracting time entries: ${error.stack}`);
+      await this.storage.finishRun(runId, 'failed', null, error.message);
       throw error;
     }
   }
@@ -58,72 +171,133 @@ class HarvestExtractor {
   
   /**
    * Extract tasks from Harvest and store them
-   * @returns {Promise<{harvestTasks: number, kimaiActivities: number, matched: number}>} Number of tasks extracted and matched
+   * @returns {Promise<{harvestTasks: number, kimaiActivities: number, matched: number, review: number, projectsMatched: number}>} Number of tasks extracted, matched and awaiting review, and of projects matched
    */
   async extractTasks() {
-    logger.info("Starting task extraction process");
-    try {
-      // STEP 1: Extract Harvest tasks
-      logger.info('Fetching tasks from Harvest API');
-      
-      // Get tasks from Harvest
-      const tasks = await this.api.getTasks();
-      
-      if (!tasks || tasks.length === 0) {
-        logger.warn('No tasks returned from Harvest API');
-        return { harvestTasks: 0, kimaiActivities: 0, matched: 0 };
+    await this.storage.ready;
+    return this.trackRun('extract-tasks', {}, async () => {
+      logger.info("Starting task extraction process");
+      try {
+        // STEP 1: Extract Harvest tasks
+        logger.info('Fetching tasks from Harvest API');
+        
+        // Get tasks from Harvest
+        const tasks = await this.api.getTasks();
+        
+        if (!tasks || tasks.length === 0) {
+          logger.warn('No tasks returned from Harvest API');
+          return { harvestTasks: 0, kimaiActivities: 0, matched: 0, review: 0, projectsMatched: 0 };
+        }
+        
+        logger.info(`Retrieved ${tasks.length} tasks from Harvest. First task ID: ${tasks[0]?.id}`);
+        
+        // Truncate the tasks table first
+        logger.info('Truncating existing tasks table');
+        await this.storage.truncateTasks();
+        
+        // Store tasks in database
+        logger.info('Starting database storage operation');
+        await this.storage.storeTasks(tasks);
+        
+        // STEP 2: Extract Kimai activities
+        logger.info('Fetching activities from Kimai API');
+        
+        // Get activities from Kimai
+        const activities = await this.kimaiApi.getActivities();
+        
+        if (!activities || activities.length === 0) {
+          logger.warn('No activities returned from Kimai API');
+          return { harvestTasks: tasks.length, kimaiActivities: 0, matched: 0, review: 0, projectsMatched: 0 };
+        }
+        
+        logger.info(`Retrieved ${activities.length} activities from Kimai. First activity ID: ${activities[0]?.id}`);
+        
+        // Truncate the tasks_kimai table first
+        logger.info('Truncating existing tasks_kimai table');
+        await this.storage.truncateKimaiTasks();
+        
+        // Store activities in database
+        logger.info('Starting Kimai activities storage operation');
+        await this.storage.storeKimaiActivities(activities);
+        
+        // STEP 3: Match Harvest tasks with Kimai activities
+        logger.info('Starting task matching process');
+        const matchResult = await this.storage.matchTasksWithActivities(Config.getMatchingConfig());
+        
+        // Verify everything worked
+        const storedTasks = await this.storage.getTasks();
+        const storedActivities = await this.storage.getKimaiActivities();
+        logger.info(`Verification: ${storedTasks.length} harvest tasks and ${storedActivities.length} kimai activities found in database`);
+        logger.info(`Task matching results: ${matchResult.matched} tasks matched with Kimai activities, ${matchResult.unmatched} unmatched, ${matchResult.review} suggestions awaiting review`);
+        
+        // STEP 4: Match Harvest clients/projects with Kimai projects
+        logger.info('Starting project matching process');
+        const projectsMatched = await this.matchProjects();
+        
+        return { 
+          harvestTasks: tasks.length, 
+          kimaiActivities: activities.length,
+          matched: matchResult.matched,
+          review: matchResult.review,
+          projectsMatched
+        };
+      } catch (error) {
+        logger.error(`Error extracting tasks: ${error.stack}`);
+        throw error;
       }
+    });
+  }
+
+  /**
+   * Match the Harvest client/project pairs seen in time entries with Kimai projects.
+   * Both the project name and the client/customer name must score at least the auto-accept
+   * threshold, and no other Kimai project may score as high; pairs with a tie are left for
+   * the user to map. Manual project mappings are never replaced.
+   * @returns {Promise<number>} Number of automatic project mappings written
+   */
+  async matchProjects() {
+    const { autoAccept } = Config.getMatchingConfig();
+    const kimaiProjects = await this.kimaiApi.getProjects();
+    const harvestProjects = await this.storage.getHarvestProjects();
+    
+    logger.info(`Matching ${harvestProjects.length} Harvest client/project pairs with ${kimaiProjects.length} Kimai projects`);
+    
+    let matched = 0;
+    
+    for (const { client, project } of harvestProjects) {
+      const candidates = kimaiProjects
+        .map(kimaiProject => ({
+          kimaiProject,
+          score: Math.min(
+            TaskMatcher.similarity(project, kimaiProject.name),
+            TaskMatcher.similarity(client, kimaiProject.parentTitle)
+          )
+        }))
+        .sort((a, b) => b.score - a.score);
+      const [best] = candidates;
       
-      logger.info(`Retrieved ${tasks.length} tasks from Harvest. First task ID: ${tasks[0]?.id}`);
-      
-      // Truncate the tasks table first
-      logger.info('Truncating existing tasks table');
-      await this.storage.truncateTasks();
-      
-      // Store tasks in database
-      logger.info('Starting database storage operation');
-      await this.storage.storeTasks(tasks);
-      
-      // STEP 2: Extract Kimai activities
-      logger.info('Fetching activities from Kimai API');
-      
-      // Get activities from Kimai
-      const activities = await this.kimaiApi.getActivities();
-      
-      if (!activities || activities.length === 0) {
-        logger.warn('No activities returned from Kimai API');
-        return { harvestTasks: tasks.length, kimaiActivities: 0, matched: 0 };
+      if (!best || best.score < autoAccept) {
+        logger.debug(`No Kimai project found for "${client}: ${project}"`);
+        continue;
       }
       
-      logger.info(`Retrieved ${activities.length} activities from Kimai. First activity ID: ${activities[0]?.id}`);
-      
-      // Truncate the tasks_kimai table first
-      logger.info('Truncating existing tasks_kimai table');
-      await this.storage.truncateKimaiTasks();
-      
-      // Store activities in database
-      logger.info('Starting Kimai activities storage operation');
-      await this.storage.storeKimaiActivities(activities);
-      
-      // STEP 3: Match Harvest tasks with Kimai activities
-      logger.info('Starting task matching process');
-      const matchResult = await this.storage.matchTasksWithActivities();
-      
-      // Verify everything worked
-      const storedTasks = await this.storage.getTasks();
-      const storedActivities = await this.storage.getKimaiActivities();
-      logger.info(`Verification: ${storedTasks.length} harvest tasks and ${storedActivities.length} kimai activities found in database`);
-      logger.info(`Task matching results: ${matchResult.matched} tasks matched with Kimai activities, ${matchResult.unmatched} unmatched`);
+      const tied = candidates.filter(candidate => candidate.score === best.score);
+      if (tied.length > 1) {
+        logger.warn(`"${client}: ${project}" matches ${tied.length} Kimai projects equally well (${tied.map(({ kimaiProject }) => `${kimaiProject.parentTitle}: ${kimaiProject.name} (${kimaiProject.id})`).join(', ')}), map it with: harvest-kimai map project set`);
+        continue;
+      }
       
-      return { 
-        harvestTasks: tasks.length, 
-        kimaiActivities: activities.length,
-        matched: matchResult.matched
-      };
-    } catch (error) {
-      logger.error(`Error extracting tasks: ${error.stack}`);
-      throw error;
+      matched += await this.storage.setProjectMapping(
+        client,
+        project,
+        best.kimaiProject.customer?.toString() || null,
+        best.kimaiProject.id.toString(),
+        'auto'
+      );
     }
+    
+    logger.info(`Project matching complete: ${matched} client/project pairs matched with Kimai projects`);
+    return matched;
   }
 }
 
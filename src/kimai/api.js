@@ -1,4 +1,4 @@
-const axios = require('axios');
+const HttpClient = require('../utils/http');
 const logger = require('../utils/logger');
 const Config = require('../utils/config');
 
@@ -9,7 +9,8 @@ class KimaiApi {
   constructor() {
     const { url, username, token } = Config.getKimaiConfig();
 
-    this.client = axios.create({
+    this.client = HttpClient.create({
+      ...Config.getHttpConfig(),
       baseURL: `${url}/api`,
       headers: {
         'Authorization': `Bearer ${token}`,
@@ -34,13 +35,165 @@ class KimaiApi {
     }
   }
 
+  /**
+   * Update an existing time entry in Kimai
+   * @param {String} id - Kimai timesheet ID
+   * @param {Object} timeEntry - Time entry data
+   * @returns {Promise<Object>} Updated time entry
+   */
+  async updateTimesheet(id, timeEntry) {
+    try {
+      logger.info(`Updating timesheet ${id} in Kimai`);
+      const response = await this.client.patch(`/timesheets/${id}`, timeEntry);
+      return response.data;
+    } catch (error) {
+      logger.error(`Error updating timesheet ${id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a custom meta field of a time entry in Kimai
+   * @param {String} id - Kimai timesheet ID
+   * @param {String} name - Meta field name, as registered in Kimai
+   * @param {String} value - Value to store
+   * @returns {Promise<Object>} Updated time entry
+   */
+  async updateTimesheetMeta(id, name, value) {
+    try {
+      logger.debug(`Setting meta field ${name} of timesheet ${id} in Kimai`);
+      const response = await this.client.patch(`/timesheets/${id}/meta`, { name, value });
+      return response.data;
+    } catch (error) {
+      logger.error(`Error setting meta field ${name} of timesheet ${id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a time entry in Kimai
+   * @param {String} id - Kimai timesheet ID
+   * @returns {Promise<void>}
+   */
+  async deleteTimesheet(id) {
+    try {
+      logger.info(`Deleting timesheet ${id} in Kimai`);
+      await this.client.delete(`/timesheets/${id}`);
+    } catch (error) {
+      logger.error(`Error deleting timesheet ${id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the user's timesheets from Kimai within a time range
+   * @param {String} begin - Start (YYYY-MM-DDTHH:mm:ss, in the Kimai user's time zone)
+   * @param {String} end - End (YYYY-MM-DDTHH:mm:ss, in the Kimai user's time zone)
+   * @param {Object} options - Query options
+   * @param {Boolean} options.allUsers - Get the timesheets of all users, which needs the view_other_timesheet permission
+   * @returns {Promise<Array>} List of timesheets
+   */
+  async getTimesheets(begin, end, { allUsers = false } = {}) {
+    try {
+      logger.info(`Fetching Kimai timesheets${allUsers ? ' of all users' : ''} from ${begin} to ${end}`);
+      
+      let allTimesheets = [];
+      let page = 1;
+      let totalPages;
+      
+      // Paginate through all results
+      do {
+        const response = await this.client.get('/timesheets', {
+          params: { begin, end, page, size: 250, ...(allUsers && { user: 'all' }) }
+        });
+        
+        allTimesheets = allTimesheets.concat(response.data);
+        totalPages = parseInt(response.headers['x-total-pages'] || '1', 10);
+        page++;
+        
+      } while (page <= totalPages);
+      
+      logger.info(`Retrieved ${allTimesheets.length} timesheets from Kimai`);
+      return allTimesheets;
+    } catch (error) {
+      logger.error(`Error fetching timesheets: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get customers from Kimai for mapping
+   * @returns {Promise<Array>} List of customers
+   */
+  async getCustomers() {
+    try {
+      logger.info('Fetching customers from Kimai');
+      const response = await this.client.get('/customers');
+      logger.info(`Retrieved ${response.data.length} customers from Kimai`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Error fetching customers: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a customer in Kimai
+   * @param {Object} customer - Customer data (name, country, currency, timezone)
+   * @returns {Promise<Object>} Created customer
+   */
+  async createCustomer(customer) {
+    try {
+      logger.info(`Creating customer "${customer.name}" in Kimai`);
+      const response = await this.client.post('/customers', { visible: true, ...customer });
+      return response.data;
+    } catch (error) {
+      logger.error(`Error creating customer "${customer.name}": ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a project in Kimai
+   * @param {Object} project - Project data (name, customer)
+   * @returns {Promise<Object>} Created project
+   */
+  async createProject(project) {
+    try {
+      logger.info(`Creating project "${project.name}" in Kimai`);
+      const response = await this.client.post('/projects', { visible: true, ...project });
+      return response.data;
+    } catch (error) {
+      logger.error(`Error creating project "${project.name}": ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an activity in Kimai; activities without a project are global
+   * @param {Object} activity - Activity data (name, optional project)
+   * @returns {Promise<Object>} Created activity
+   */
+  async createActivity(activity) {
+    try {
+      logger.info(`Creating activity "${activity.name}" in Kimai`);
+      const response = await this.client.post('/activities', { visible: true, ...activity });
+      return response.data;
+    } catch (error) {
+      logger.error(`Error creating activity "${activity.name}": ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Get projects from Kimai for mapping
    * @returns {Promise<Array>} List of projects
    */
   async getProjects() {
     try {
+      logger.info('Fetching projects from Kimai');
       const response = await this.client.get('/projects');
+      logger.info(`Retrieved ${response.data.length} projects from Kimai`);
       return response.data;
     } catch (error) {
       logger.error(`Error fetching projects: ${error.message}`);
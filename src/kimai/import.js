@@ -1,142 +1,825 @@
 const KimaiApi = require('./api');
+const KimaiProvisioner = require('./provision');
+const { DaySchedule, ScheduleConflictError } = require('./schedule');
+const HarvestMarker = require('./marker');
 const Storage = require('../db/storage');
+const Config = require('../utils/config');
+const DateUtils = require('../utils/date');
 const logger = require('../utils/logger');
 
+// Failed attempts after which an entry is no longer retried
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// Longest tag name Kimai accepts
+const MAX_TAG_LENGTH = 100;
+
 /**
  * Handles importing time entries to Kimai
  */
 class KimaiImporter {
-  constructor() {
-    this.api = new KimaiApi();
-    this.storage = new Storage();
+  /**
+   * @param {Object} options - Importer options
+   * @param {Boolean} options.offline - Only export to files, without Kimai credentials
+   * @param {Storage} options.storage - Storage to share, e.g. with the extractor of a sync; a new one by default
+   */
+  constructor({ offline = false, storage = null } = {}) {
+    this.api = offline ? null : new KimaiApi();
+    this.storage = storage || new Storage();
+    this.provisioner = offline ? null : new KimaiProvisioner(this.api, this.storage);
+    this.timeZone = Config.getTimezone();
+    this.workday = Config.getWorkdayConfig();
+    this.rates = Config.getRateConfig();
+    this.tagTemplates = Config.getTagTemplates();
+    this.metaFields = Config.getMetaFields();
   }
 
   /**
    * Import all pending time entries
-   * @returns {Promise<number>} Number of entries imported
+   * @param {Object} options - Import options
+   * @param {Boolean} options.dryRun - Build the payloads without sending them or touching the database
+   * @param {String} options.onDeleted - What to do with Kimai timesheets of entries deleted in Harvest: 'report' or 'delete'
+   * @param {Boolean} options.createMissing - Create missing Kimai customers, projects and activities first
+   * @param {Boolean} options.retryFailed - Only retry entries whose previous import failed for a temporary reason
+   * @param {String} options.clearState - Put entries in this state back to pending first, e.g. failed-permanent
+   * @param {Number} options.maxAttempts - Give up on an entry after this many failed attempts
+   * @param {String} options.from - Optional start date (YYYY-MM-DD) to limit the import to
+   * @param {String} options.to - Optional end date (YYYY-MM-DD) to limit the import to
+   * @param {String} options.user - Optional Harvest user ID or name to limit the import to
+   * @returns {Promise<{runId: number|null, imported: number, updated: number, deleted: number, orphaned: number, skipped: number, conflicts: number, failed: number, created: Object, entries: Array<Object>}>} Run summary with one row per entry
    */
-  async importTimeEntries() {
+  async importTimeEntries(options = {}) {
+    const {
+      dryRun = false,
+      onDeleted = 'report',
+      createMissing = false,
+      retryFailed = false,
+      clearState = null,
+      maxAttempts = DEFAULT_MAX_ATTEMPTS,
+      from = null,
+      to = null,
+      user = null
+    } = options;
+    let summary = null;
+    
     try {
-      logger.info('Starting import of all pending time entries');
+      logger.info(`Starting ${dryRun ? 'dry run' : 'import'} of ${from ? `pending time entries from ${from} to ${to}` : 'all pending time entries'}${user ? ` of Harvest user ${user}` : ''}`);
+      await this.storage.ready;
+      
+      summary = {
+        // Dry runs leave no trace in the run history
+        runId: dryRun ? null : await this.storage.startRun('import', { onDeleted, createMissing, retryFailed, clearState, maxAttempts, from, to, user }),
+        imported: 0,
+        updated: 0,
+        deleted: 0,
+        orphaned: 0,
+        skipped: 0,
+        conflicts: 0,
+        failed: 0,
+        created: { customers: 0, projects: 0, activities: 0 },
+        entries: []
+      };
       
-      // Get all pending entries from storage
-      const entries = await this.storage.getAllPendingEntries();
+      if (clearState && !dryRun) {
+        const cleared = await this.storage.clearEntryState(clearState);
+        logger.info(`Reset ${cleared} ${clearState} entries to pending`);
+      }
+      
+      // Deal with entries deleted in Harvest before anything new lands in Kimai
+      if (!retryFailed) {
+        await this.reconcileDeletedEntries(summary, { dryRun, onDeleted, from, to, user });
+      }
+      
+      // Give unmapped entries a Kimai counterpart, so they are picked up with their new mapping below
+      const selection = { retryFailed, maxAttempts, from, to, user };
+      if (createMissing) {
+        summary.created = await this.provisioner.ensureMappings(await this.storage.getAllPendingEntries(selection), { dryRun });
+      }
+      
+      // Get all entries awaiting import from storage
+      const entries = await this.storage.getAllPendingEntries(selection);
       logger.info(`Found ${entries.length} entries to import`);
       
       if (entries.length === 0) {
         logger.info('No pending entries to import');
-        return 0;
       }
       
-      // Sort entries by date to maintain sequential order
-      entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+      this.sortEntries(entries);
       
-      let imported = 0;
-      let failed = 0;
+      // Once users are mapped, timesheets are created for the mapped Kimai users instead of the token owner
+      const multiUser = await this.storage.hasUserMappings();
       
-      // Track the latest end time for each date to avoid overlaps
-      const dateEndTimeMap = new Map();
+      // Look at what is already in Kimai: timesheets carrying an entry's Harvest marker are
+      // reused, all others are busy time the new timesheets have to fit around
+      const placeable = entries.filter(entry => !this.getMissingMapping(entry, multiUser));
+      const timesheets = await this.loadTimesheets(placeable, { allUsers: multiUser });
+      const linked = this.linkMarkedTimesheets(placeable, timesheets);
+      if (linked > 0) {
+        logger.info(`Found ${linked} entries already imported to Kimai by their Harvest marker`);
+      }
+      const schedules = this.buildSchedules(placeable, timesheets, { byUser: multiUser });
       
       for (const entry of entries) {
+        let kimaiEntry = null;
+        
         try {
-          // Skip entries without project or activity mapping
-          if (!entry.kimai_project_id || !entry.kimai_activity_id) {
-            logger.warn(`Skipping entry ${entry.harvest_id} - Missing project or activity mapping`);
+          // Skip entries without project, activity or user mapping
+          const missing = this.getMissingMapping(entry, multiUser);
+          if (missing) {
+            logger.warn(`Skipping entry ${entry.harvest_id} - ${missing}`);
+            await this.recordEntry(summary, entry, null, 'skip', missing);
+            if (!dryRun) {
+              await this.storage.markEntrySkipped(entry.harvest_id, missing);
+            }
+            summary.skipped++;
             continue;
           }
           
           // Transform Harvest entry to Kimai format
-          const kimaiEntry = this.transformEntry(entry, dateEndTimeMap);
+          kimaiEntry = this.transformEntry(entry, schedules);
+          
+          if (dryRun) {
+            await this.recordEntry(summary, entry, kimaiEntry, entry.kimai_id ? 'update' : 'create', null, entry.kimai_id);
+            continue;
+          }
+          
+          // Entries changed in Harvest after their import update the existing timesheet
+          if (entry.kimai_id) {
+            logger.debug(`Updating Kimai timesheet ${entry.kimai_id} for entry ${entry.harvest_id}`, { kimaiEntry });
+            await this.api.updateTimesheet(entry.kimai_id, kimaiEntry);
+            await this.writeMetaFields(entry.kimai_id, entry, { clear: true });
+            await this.storage.markAsImported(entry.harvest_id, entry.kimai_id);
+            await this.recordEntry(summary, entry, kimaiEntry, 'updated', null, entry.kimai_id);
+            summary.updated++;
+            logger.debug(`Successfully updated Kimai ID ${entry.kimai_id} from entry ${entry.harvest_id}`);
+            continue;
+          }
           
           logger.debug(`Importing entry ${entry.harvest_id} to Kimai`, { kimaiEntry });
           
           // Upload to Kimai
           const result = await this.api.createTimesheet(kimaiEntry);
           
+          // A failure from here on keeps the timesheet's ID with the failed entry, so a retry updates it
+          entry.kimai_id = result.id.toString();
+          await this.writeMetaFields(entry.kimai_id, entry);
+          
           // Mark as imported
           await this.storage.markAsImported(entry.harvest_id, result.id);
-          imported++;
+          await this.recordEntry(summary, entry, kimaiEntry, 'created', null, result.id);
+          summary.imported++;
           logger.debug(`Successfully imported entry ${entry.harvest_id} as Kimai ID ${result.id}`);
         } catch (error) {
-          logger.error(`Failed to import entry ${entry.harvest_id}: ${error.message}`);
-          failed++;
+          const message = this.describeError(error);
+          const conflict = error instanceof ScheduleConflictError;
+          
+          if (conflict) {
+            logger.warn(`Conflict for entry ${entry.harvest_id}: ${message}`);
+            await this.recordEntry(summary, entry, null, 'conflict', message);
+            summary.conflicts++;
+          } else {
+            logger.error(`Failed to import entry ${entry.harvest_id}: ${message}`);
+            await this.recordEntry(summary, entry, kimaiEntry, 'failed', message, entry.kimai_id || null);
+            summary.failed++;
+          }
+          
+          if (!dryRun) {
+            // Conflicts clear up once the overlapping Kimai timesheets are moved
+            const gaveUp = entry.attempts + 1 >= maxAttempts;
+            const permanent = (!conflict && this.isPermanentFailure(error)) || gaveUp;
+            await this.storage.markEntryFailed(
+              entry.harvest_id,
+              gaveUp ? `${message} (gave up after ${entry.attempts + 1} attempts)` : message,
+              { permanent, kimaiId: entry.kimai_id || null }
+            );
+          }
         }
       }
       
-      logger.info(`Import complete: ${imported} entries imported, ${failed} entries failed`);
-      return imported;
+      const timed = summary.entries.filter(row => row.time_source === 'harvest').length;
+      const synthesized = summary.entries.filter(row => row.time_source === 'synthesized').length;
+      logger.info(`Timesheet times: ${timed} entries used Harvest start/end times, ${synthesized} entries used synthesized times`);
+      
+      if (dryRun) {
+        const planned = summary.entries.filter(row => row.action === 'create').length;
+        const changed = summary.entries.filter(row => row.action === 'update').length;
+        const removed = summary.entries.filter(row => row.action === 'delete').length;
+        logger.info(`Dry run complete: ${planned} entries would be imported, ${changed} timesheets would be updated, ${removed} timesheets would be deleted, ${summary.orphaned} orphaned timesheets reported, ${summary.skipped} entries would be skipped, ${summary.conflicts} conflicts, ${summary.failed} entries failed`);
+      } else {
+        logger.info(`Import complete: ${summary.imported} entries imported, ${summary.updated} timesheets updated, ${summary.deleted} timesheets deleted, ${summary.orphaned} orphaned timesheets reported, ${summary.skipped} entries skipped, ${summary.conflicts} conflicts, ${summary.failed} entries failed`);
+      }
+      
+      const states = await this.storage.getStateCounts();
+      logger.info(`Entry states: ${Object.entries(states).map(([state, count]) => `${count} ${state}`).join(', ')}`);
+      
+      if (summary.runId) {
+        await this.storage.finishRun(summary.runId, summary.failed + summary.conflicts > 0 ? 'partial' : 'succeeded', this.getCounts(summary));
+      }
+      return summary;
     } catch (error) {
       logger.error(`Error importing time entries: ${error.message}`);
+      if (summary?.runId) {
+        await this.storage.finishRun(summary.runId, 'failed', this.getCounts(summary), error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Place all pending entries the way an import would and return them as timesheets to
+   * write to a file, for Kimai instances this tool cannot reach. Kimai is not consulted,
+   * so entries only avoid overlapping each other, and entries need no mapping: the file
+   * names the Harvest client, project and task, which Kimai's importer matches by name.
+   * Kimai's importer always creates new timesheets, so entries that changed in Harvest after
+   * an earlier export are reported instead of exported again.
+   * @param {Object} options - Export options
+   * @param {Function} options.write - Writes the timesheets to the export file, before any entry is marked
+   * @param {Boolean} options.markExported - Mark the exported and the reported changed entries so later runs leave them out
+   * @param {Boolean} options.retryFailed - Only export entries whose previous import failed for a temporary reason
+   * @param {String} options.clearState - Put entries in this state back to pending first, e.g. exported
+   * @param {Number} options.maxAttempts - Leave out failed entries with this many attempts or more
+   * @param {String} options.from - Optional start date (YYYY-MM-DD) to limit the export to
+   * @param {String} options.to - Optional end date (YYYY-MM-DD) to limit the export to
+   * @param {String} options.user - Optional Harvest user ID or name to limit the export to
+   * @returns {Promise<{runId: number|null, exported: number, changed: number, skipped: number, conflicts: number, timesheets: Array<Object>, entries: Array<Object>}>} Export summary with the timesheets and one report row per entry
+   */
+  async exportTimeEntries(options = {}) {
+    const {
+      write,
+      markExported = false,
+      retryFailed = false,
+      clearState = null,
+      maxAttempts = DEFAULT_MAX_ATTEMPTS,
+      from = null,
+      to = null,
+      user = null
+    } = options;
+    let summary = null;
+    
+    try {
+      logger.info(`Starting export of ${from ? `pending time entries from ${from} to ${to}` : 'all pending time entries'}${user ? ` of Harvest user ${user}` : ''}`);
+      await this.storage.ready;
+      
+      summary = {
+        // Exports only leave a trace in the run history when they change entry states
+        runId: markExported ? await this.storage.startRun('export', { retryFailed, clearState, maxAttempts, from, to, user }) : null,
+        exported: 0,
+        changed: 0,
+        skipped: 0,
+        conflicts: 0,
+        timesheets: [],
+        entries: []
+      };
+      const changed = [];
+      
+      if (clearState) {
+        const cleared = await this.storage.clearEntryState(clearState);
+        logger.info(`Reset ${cleared} ${clearState} entries to pending`);
+      }
+      
+      const entries = this.sortEntries(await this.storage.getAllPendingEntries({ retryFailed, maxAttempts, from, to, user }));
+      const schedules = new Map();
+      logger.info(`Found ${entries.length} entries to export`);
+      
+      for (const entry of entries) {
+        // Exporting an entry that is already in Kimai would duplicate it on import
+        if (entry.kimai_id) {
+          await this.recordEntry(summary, entry, null, 'skip', `Already in Kimai as timesheet ${entry.kimai_id}, import it instead`, entry.kimai_id);
+          summary.skipped++;
+          continue;
+        }
+        if (entry.exported_at) {
+          await this.recordEntry(summary, entry, null, 'changed', `Changed in Harvest after its export on ${entry.exported_at.slice(0, 10)}, update the timesheet in Kimai by hand`);
+          changed.push(entry.harvest_id);
+          summary.changed++;
+          continue;
+        }
+        
+        try {
+          // Without Kimai users, entries of different Harvest users may overlap each other
+          const kimaiEntry = {
+            ...this.transformEntry(entry, schedules, { scheduleUser: entry.harvest_user_id || entry.harvest_user_name }),
+            project: entry.kimai_project_id ? parseInt(entry.kimai_project_id, 10) : null,
+            activity: entry.kimai_activity_id ? parseInt(entry.kimai_activity_id, 10) : null
+          };
+          
+          summary.timesheets.push(this.describeTimesheet(entry, kimaiEntry));
+          await this.recordEntry(summary, entry, kimaiEntry, 'exported');
+          summary.exported++;
+        } catch (error) {
+          if (!(error instanceof ScheduleConflictError)) {
+            throw error;
+          }
+          logger.warn(`Conflict for entry ${entry.harvest_id}: ${error.message}`);
+          await this.recordEntry(summary, entry, null, 'conflict', error.message);
+          summary.conflicts++;
+        }
+      }
+      
+      await write(summary.timesheets);
+      
+      if (markExported) {
+        // Changed entries are reported once; the run history keeps the list
+        await this.storage.markEntriesExported([...summary.timesheets.map(timesheet => timesheet.harvest_id), ...changed]);
+        await this.storage.finishRun(summary.runId, summary.conflicts > 0 ? 'partial' : 'succeeded', {
+          exported: summary.exported,
+          changed: summary.changed,
+          skipped: summary.skipped,
+          conflicts: summary.conflicts
+        });
+      }
+      
+      logger.info(`Export complete: ${summary.exported} entries exported${markExported ? ' and marked' : ''}, ${summary.changed} entries changed since their export, ${summary.skipped} entries skipped, ${summary.conflicts} conflicts`);
+      return summary;
+    } catch (error) {
+      logger.error(`Error exporting time entries: ${error.message}`);
+      if (summary?.runId) {
+        await this.storage.finishRun(summary.runId, 'failed', null, error.message);
+      }
       throw error;
     }
   }
 
   /**
-   * Transform Harvest entry to Kimai format
+   * Describe an exported timesheet, with the fields of Kimai's importer and of the API payload
+   * @param {Object} entry - Entry from storage with task mapping
+   * @param {Object} kimaiEntry - Payload built for Kimai
+   * @returns {Object} Exported timesheet
+   */
+  describeTimesheet(entry, kimaiEntry) {
+    const minutes = Math.round((new Date(kimaiEntry.end) - new Date(kimaiEntry.begin)) / 60000);
+    
+    return {
+      harvest_id: entry.harvest_id,
+      ...kimaiEntry,
+      date: kimaiEntry.begin.slice(0, 10),
+      from: kimaiEntry.begin.slice(11, 16),
+      to: kimaiEntry.end.slice(11, 16),
+      duration: `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`,
+      user_name: entry.harvest_user_name || entry.harvest_user_id || null,
+      customer_name: entry.client,
+      project_name: entry.project,
+      activity_name: entry.task
+    };
+  }
+
+  /**
+   * Tell which mapping an entry lacks to be imported
+   * @param {Object} entry - Entry from storage with project, task and user mapping
+   * @param {Boolean} multiUser - Whether entries need a Kimai user, because Harvest users are mapped
+   * @returns {String|null} Reason the entry cannot be imported, or null if it is fully mapped
+   */
+  getMissingMapping(entry, multiUser) {
+    if (!entry.kimai_project_id || !entry.kimai_activity_id) {
+      return 'Missing project or activity mapping';
+    }
+    if (multiUser && !entry.kimai_user_id) {
+      return `Missing user mapping for Harvest user ${entry.harvest_user_name || entry.harvest_user_id || '(unknown)'}`;
+    }
+    return null;
+  }
+
+  /**
+   * Sort entries by date to maintain sequential order, placing entries with real Harvest
+   * times first so synthesized times are fitted around them
+   * @param {Array} entries - Entries from storage, sorted in place
+   * @returns {Array} The sorted entries
+   */
+  sortEntries(entries) {
+    return entries.sort((a, b) =>
+      (new Date(a.date) - new Date(b.date)) ||
+      ((this.getHarvestTimes(a) ? 0 : 1) - (this.getHarvestTimes(b) ? 0 : 1))
+    );
+  }
+
+  /**
+   * Tell whether an import failure is specific to the entry and will happen again on retry,
+   * such as a Kimai validation error. Network trouble, server errors, rate limits and
+   * authentication problems, which affect every entry alike, are worth retrying.
+   * @param {Error} error - Error thrown while importing the entry
+   * @returns {Boolean} True if retrying is pointless
+   */
+  isPermanentFailure(error) {
+    return Boolean(error.response) && !error.retryable && error.response.status !== 401;
+  }
+
+  /**
+   * Build an error message, including the reason Kimai gave for rejecting a request
+   * @param {Error} error - Error thrown while importing the entry
+   * @returns {String} Error message
+   */
+  describeError(error) {
+    const data = error.response?.data;
+    
+    if (!data?.message) {
+      return error.message;
+    }
+    return `${error.message}: ${data.message}${data.errors ? ` ${JSON.stringify(data.errors)}` : ''}`;
+  }
+
+  /**
+   * Get the counts of a run summary as stored in the run history
+   * @param {Object} summary - Run summary
+   * @returns {Object} Counts by outcome
+   */
+  getCounts(summary) {
+    const { imported, updated, deleted, orphaned, skipped, conflicts, failed, created } = summary;
+    return { imported, updated, deleted, orphaned, skipped, conflicts, failed, created };
+  }
+
+  /**
+   * Add a row to the run summary and, for real runs, to the audit log of the run
+   * @param {Object} summary - Run summary
+   * @param {Object} entry - Entry from storage
+   * @param {Object|null} kimaiEntry - Payload built for Kimai, if any
+   * @param {String} action - What happened to the entry, see describeEntry
+   * @param {String|null} reason - Why the entry was skipped or failed
+   * @param {String|null} kimaiId - Kimai timesheet ID, once known
+   * @returns {Promise<void>}
+   */
+  async recordEntry(summary, entry, kimaiEntry, action, reason = null, kimaiId = null) {
+    summary.entries.push(this.describeEntry(entry, kimaiEntry, action, reason, kimaiId));
+    
+    if (summary.runId) {
+      await this.storage.addRunEntry(summary.runId, {
+        harvestId: entry.harvest_id,
+        action,
+        kimaiId,
+        payload: kimaiEntry,
+        error: reason
+      });
+    }
+  }
+
+  /**
+   * Handle Kimai timesheets whose Harvest entry has been deleted
+   * @param {Object} summary - Run summary to record the results in
+   * @param {Object} options - Import options
+   * @param {Boolean} options.dryRun - Only report what would happen
+   * @param {String} options.onDeleted - 'delete' removes the timesheets from Kimai, 'report' only lists them
+   * @param {String} options.from - Optional start date (YYYY-MM-DD) to limit the entries to
+   * @param {String} options.to - Optional end date (YYYY-MM-DD) to limit the entries to
+   * @param {String} options.user - Optional Harvest user ID or name to limit the entries to
+   * @returns {Promise<void>}
+   */
+  async reconcileDeletedEntries(summary, { dryRun, onDeleted, from = null, to = null, user = null }) {
+    const entries = await this.storage.getDeletedEntries({ from, to, user });
+    
+    if (entries.length === 0) {
+      return;
+    }
+    
+    logger.warn(`Found ${entries.length} Kimai timesheets whose Harvest entries were deleted`);
+    
+    for (const entry of entries) {
+      if (onDeleted !== 'delete') {
+        logger.warn(`Entry ${entry.harvest_id} was deleted in Harvest but Kimai timesheet ${entry.kimai_id} still exists`);
+        await this.recordEntry(summary, entry, null, 'orphaned', 'Deleted in Harvest, Kimai timesheet kept', entry.kimai_id);
+        summary.orphaned++;
+        continue;
+      }
+      
+      if (dryRun) {
+        await this.recordEntry(summary, entry, null, 'delete', 'Deleted in Harvest', entry.kimai_id);
+        continue;
+      }
+      
+      try {
+        await this.api.deleteTimesheet(entry.kimai_id);
+      } catch (error) {
+        // A timesheet that is already gone from Kimai needs no further work
+        if (error.response?.status !== 404) {
+          logger.error(`Failed to delete Kimai timesheet ${entry.kimai_id} of entry ${entry.harvest_id}: ${error.message}`);
+          await this.recordEntry(summary, entry, null, 'failed', error.message, entry.kimai_id);
+          summary.failed++;
+          continue;
+        }
+        logger.warn(`Kimai timesheet ${entry.kimai_id} of entry ${entry.harvest_id} no longer exists`);
+      }
+      
+      await this.storage.markKimaiTimesheetDeleted(entry.harvest_id);
+      await this.recordEntry(summary, entry, null, 'deleted', 'Deleted in Harvest', entry.kimai_id);
+      summary.deleted++;
+    }
+  }
+
+  /**
+   * Describe what happened (or would happen) to an entry during an import run
+   * @param {Object} entry - Entry from storage with task mapping
+   * @param {Object|null} kimaiEntry - Payload built for Kimai, if any
+   * @param {String} action - create, update, delete, created, updated, deleted, exported, changed, orphaned, skip, conflict or failed
+   * @param {String|null} reason - Why the entry was skipped or failed
+   * @param {String|null} kimaiId - Kimai timesheet ID, once known
+   * @returns {Object} Report row
+   */
+  describeEntry(entry, kimaiEntry, action, reason = null, kimaiId = null) {
+    return {
+      harvest_id: entry.harvest_id,
+      date: entry.date,
+      user: entry.harvest_user_name || entry.harvest_user_id || null,
+      action,
+      begin: kimaiEntry?.begin || null,
+      end: kimaiEntry?.end || null,
+      time_source: kimaiEntry ? (this.getHarvestTimes(entry) ? 'harvest' : 'synthesized') : null,
+      project: kimaiEntry?.project || entry.kimai_project_id || null,
+      activity: kimaiEntry?.activity || entry.kimai_activity_id || null,
+      description: kimaiEntry ? kimaiEntry.description : (entry.notes || ''),
+      kimai_id: kimaiId,
+      skip_reason: reason
+    };
+  }
+
+  /**
+   * Get the real start and end times tracked in Harvest, when the account uses timestamps
+   * @param {Object} entry - Entry from storage
+   * @returns {{start: {hours: number, minutes: number}, end: {hours: number, minutes: number}}|null} Times, or null if either is missing
+   */
+  getHarvestTimes(entry) {
+    const start = DateUtils.parseClockTime(entry.started_time);
+    const end = DateUtils.parseClockTime(entry.ended_time);
+    
+    return start && end ? { start, end } : null;
+  }
+
+  /**
+   * Load the existing Kimai timesheets on the days of the given entries
+   * @param {Array} entries - Entries that are about to be placed
+   * @param {Object} options - Load options
+   * @param {Boolean} options.allUsers - Load the timesheets of all users instead of the token owner's
+   * @returns {Promise<Array>} Timesheets from the Kimai API
+   */
+  async loadTimesheets(entries, { allUsers = false } = {}) {
+    const dates = entries.map(entry => entry.date).sort();
+    
+    if (dates.length === 0) {
+      return [];
+    }
+    
+    const timesheets = await this.api.getTimesheets(`${dates[0]}T00:00:00`, `${dates[dates.length - 1]}T23:59:59`, { allUsers });
+    logger.info(`Loaded ${timesheets.length} existing Kimai timesheets between ${dates[0]} and ${dates[dates.length - 1]}`);
+    return timesheets;
+  }
+
+  /**
+   * Link entries without a kimai_id to timesheets that already carry their Harvest marker,
+   * e.g. imported from another machine or before the local database was lost.
+   * Such entries update the marked timesheet instead of creating a duplicate.
+   * @param {Array} entries - Entries that are about to be placed, updated in place
+   * @param {Array} timesheets - Existing Kimai timesheets
+   * @returns {Number} Number of entries linked
+   */
+  linkMarkedTimesheets(entries, timesheets) {
+    const markers = HarvestMarker.index(timesheets);
+    let linked = 0;
+    
+    for (const entry of entries) {
+      const timesheet = markers.get(entry.harvest_id.toString());
+      
+      if (!entry.kimai_id && timesheet) {
+        logger.info(`Entry ${entry.harvest_id} is already in Kimai as timesheet ${timesheet.id}, updating it instead of creating a duplicate`);
+        entry.kimai_id = timesheet.id.toString();
+        linked++;
+      }
+    }
+    
+    return linked;
+  }
+
+  /**
+   * Build the schedule of busy intervals per date, and per Kimai user when timesheets are
+   * created for several users, from existing Kimai timesheets
+   * @param {Array} entries - Entries that are about to be placed
+   * @param {Array} timesheets - Existing Kimai timesheets
+   * @param {Object} options - Schedule options
+   * @param {Boolean} options.byUser - Keep a separate schedule per Kimai user
+   * @returns {Map<String, DaySchedule>} Schedule of busy intervals per date and user
+   */
+  buildSchedules(entries, timesheets, { byUser = false } = {}) {
+    const schedules = new Map();
+    
+    // Timesheets of entries being updated are placed again by this run
+    const ownTimesheets = new Set(entries.filter(entry => entry.kimai_id).map(entry => entry.kimai_id.toString()));
+    
+    for (const timesheet of timesheets) {
+      if (ownTimesheets.has(timesheet.id.toString())) {
+        continue;
+      }
+      
+      // Running timesheets have no end yet and block the time up to now
+      const begin = new Date(timesheet.begin);
+      const end = timesheet.end ? new Date(timesheet.end) : new Date();
+      const days = new Set([DateUtils.formatDate(begin, this.timeZone), DateUtils.formatDate(end, this.timeZone)]);
+      
+      for (const date of days) {
+        this.getSchedule(schedules, date, byUser ? timesheet.user : null).reserve(begin, end, `Kimai timesheet ${timesheet.id}`);
+      }
+    }
+    
+    return schedules;
+  }
+
+  /**
+   * Get the schedule of a date, creating an empty one for the configured workday if needed
+   * @param {Map<String, DaySchedule>} schedules - Schedules per date and user
+   * @param {String} date - Date (YYYY-MM-DD)
+   * @param {String|Number|null} userId - Kimai user ID, or null for the token owner
+   * @returns {DaySchedule} Schedule of the date
+   */
+  getSchedule(schedules, date, userId = null) {
+    const key = userId === null || userId === undefined ? date : `${date}/${userId}`;
+    
+    if (!schedules.has(key)) {
+      const { start, end } = this.workday;
+      const windowStart = DateUtils.zonedTimeToDate(date, start.hours, start.minutes, this.timeZone);
+      const windowEnd = end
+        ? DateUtils.zonedTimeToDate(date, end.hours, end.minutes, this.timeZone)
+        : DateUtils.zonedTimeToDate(DateUtils.addDays(date, 1), 0, 0, this.timeZone);
+      
+      schedules.set(key, new DaySchedule(windowStart, windowEnd));
+    }
+    return schedules.get(key);
+  }
+
+  /**
+   * Transform Harvest entry to Kimai format.
+   * Uses the Harvest start/end times when they exist. Otherwise the entry goes into the
+   * first free slot of its day: from its created_at time when it was created on that day,
+   * else from the start of the workday. All clock times are read in the configured time
+   * zone and sent with their UTC offset.
    * @param {Object} entry - Entry from storage with task mapping
-   * @param {Map} dateEndTimeMap - Map tracking end times for each date
+   * @param {Map<String, DaySchedule>} schedules - Busy intervals per date, updated with this entry
+   * @param {Object} options - Placement options
+   * @param {String|null} options.scheduleUser - User whose schedule the entry is placed in, by default its Kimai user
    * @returns {Object} Entry formatted for Kimai
+   * @throws {ScheduleConflictError} When the entry does not fit on its day without overlaps
    */
-  transformEntry(entry, dateEndTimeMap) {
-    let beginTime;
+  transformEntry(entry, schedules, { scheduleUser = entry.kimai_user_id || null } = {}) {
+    let beginTime = null;
+    let endTime;
     const entryDate = entry.date;
+    const schedule = this.getSchedule(schedules, entryDate, scheduleUser);
+    const harvestTimes = this.getHarvestTimes(entry);
     
-    // Check if created_at exists
-    if (entry.created_at) {
-      const createdAtDate = new Date(entry.created_at);
-      const dateObj = new Date(entryDate);
+    if (harvestTimes) {
+      // Use the real times tracked in Harvest
+      const { start, end } = harvestTimes;
+      beginTime = DateUtils.zonedTimeToDate(entryDate, start.hours, start.minutes, this.timeZone);
+      endTime = DateUtils.zonedTimeToDate(entryDate, end.hours, end.minutes, this.timeZone);
       
-      // Compare date portions (year, month, day) to see if they're the same
-      const sameDate = createdAtDate.getFullYear() === dateObj.getFullYear() &&
-                        createdAtDate.getMonth() === dateObj.getMonth() &&
-                        createdAtDate.getDate() === dateObj.getDate();
+      // A timer running past midnight ends on the next day
+      if (endTime <= beginTime) {
+        endTime = DateUtils.zonedTimeToDate(DateUtils.addDays(entryDate, 1), end.hours, end.minutes, this.timeZone);
+      }
       
-      if (sameDate) {
-        // If same date, use the created_at timestamp
-        logger.debug(`Entry ${entry.harvest_id}: Using created_at time since date matches entry date`);
-        beginTime = createdAtDate;
-      } else {
-        // If different date, check if we have an end time for this date already
-        if (dateEndTimeMap.has(entryDate)) {
-          // Use the last entry's end time as our start time
-          beginTime = new Date(dateEndTimeMap.get(entryDate));
-          logger.debug(`Entry ${entry.harvest_id}: Using sequential time ${beginTime.toTimeString()}`);
-        } else {
-          // Start from 9:00 AM for first entry of the day
-          beginTime = new Date(entryDate);
-          beginTime.setHours(9, 0, 0, 0);
-          logger.debug(`Entry ${entry.harvest_id}: Using 9:00 AM as start time for new date`);
-        }
+      const overlap = schedule.findOverlap(beginTime, endTime);
+      if (overlap) {
+        throw new ScheduleConflictError(`Harvest times ${entry.started_time} - ${entry.ended_time} overlap ${overlap.label}`);
       }
+      logger.debug(`Entry ${entry.harvest_id}: Using Harvest start/end times ${entry.started_time} - ${entry.ended_time}`);
     } else {
-      // No created_at, check if we have an end time for this date already
-      if (dateEndTimeMap.has(entryDate)) {
-        // Use the last entry's end time as our start time
-        beginTime = new Date(dateEndTimeMap.get(entryDate));
-        logger.debug(`Entry ${entry.harvest_id}: Using sequential time ${beginTime.toTimeString()}`);
-      } else {
-        // Start from 9:00 AM for first entry of the day
-        beginTime = new Date(entryDate);
-        beginTime.setHours(9, 0, 0, 0);
-        logger.debug(`Entry ${entry.harvest_id}: Using 9:00 AM as start time for new date`);
+      const duration = Math.round(entry.hours * 60) * 60000;
+      
+      // Prefer the created_at time when the entry was created on the day it is for
+      if (entry.created_at) {
+        const createdAtDate = new Date(entry.created_at);
+        
+        if (DateUtils.formatDate(createdAtDate, this.timeZone) === entryDate) {
+          beginTime = schedule.findSlot(duration, createdAtDate);
+          if (beginTime) {
+            logger.debug(`Entry ${entry.harvest_id}: Using first free slot from created_at, ${DateUtils.formatDateTime(beginTime, this.timeZone)}`);
+          }
+        }
+      }
+      
+      if (!beginTime) {
+        beginTime = schedule.findSlot(duration);
+        if (!beginTime) {
+          throw new ScheduleConflictError(`No free slot of ${entry.hours}h left on ${entryDate} within the workday`);
+        }
+        logger.debug(`Entry ${entry.harvest_id}: Using first free slot of the workday, ${DateUtils.formatDateTime(beginTime, this.timeZone)}`);
       }
+      
+      endTime = new Date(beginTime.getTime() + duration);
     }
     
-    // Calculate end time by adding hours
-    const endTime = new Date(beginTime.getTime());
-    endTime.setMinutes(endTime.getMinutes() + Math.round(entry.hours * 60));
-    
-    // Update the map with the latest end time for this date
-    dateEndTimeMap.set(entryDate, endTime);
+    schedule.reserve(beginTime, endTime, `Harvest entry ${entry.harvest_id}`);
     
     return {
-      begin: beginTime.toISOString(),
-      end: endTime.toISOString(),
+      begin: DateUtils.formatDateTime(beginTime, this.timeZone),
+      end: DateUtils.formatDateTime(endTime, this.timeZone),
       description: entry.notes || '',
       project: parseInt(entry.kimai_project_id, 10),
-      activity: parseInt(entry.kimai_activity_id, 10)
+      activity: parseInt(entry.kimai_activity_id, 10),
+      tags: this.getTags(entry).join(','),
+      // Creating timesheets for other users needs the edit_other_timesheet permission
+      ...(entry.kimai_user_id && { user: parseInt(entry.kimai_user_id, 10) }),
+      ...this.getBilling(entry)
     };
   }
+
+  /**
+   * Get the tags of an entry's timesheet: the Harvest marker, then the configured tags with
+   * their placeholders filled in. Tags whose fields are empty for the entry are left out.
+   * Updates send the same tags, so changing an entry in Harvest brings its tags up to date.
+   * @param {Object} entry - Entry from storage
+   * @returns {Array<String>} Tag names, the marker first
+   */
+  getTags(entry) {
+    const tags = [HarvestMarker.tag(entry.harvest_id)];
+    
+    for (const template of this.tagTemplates) {
+      // Kimai separates tags with commas, so values cannot contain them
+      const filled = this.fillTemplate(template, entry, value => value.replace(/\s*,\s*/g, ' '));
+      const tag = filled && filled.slice(0, MAX_TAG_LENGTH).trim();
+      
+      if (tag && !tags.includes(tag)) {
+        tags.push(tag);
+      }
+    }
+    return tags;
+  }
+  
+  /**
+   * Fill the Harvest fields of an entry into a tag or meta field template
+   * @param {String} template - Template with placeholders such as {client}
+   * @param {Object} entry - Entry from storage
+   * @param {Function} clean - Adjusts each field value for where it is used
+   * @returns {String|null} Filled template, or null if a field it uses is empty for the entry
+   */
+  fillTemplate(template, entry, clean = value => value) {
+    const fields = {
+      harvest_id: entry.harvest_id,
+      client: entry.client,
+      project: entry.project,
+      task: entry.task,
+      user: entry.harvest_user_name || entry.harvest_user_id,
+      external_reference: entry.external_reference,
+      external_reference_permalink: entry.external_reference_permalink
+    };
+    let complete = true;
+    
+    const filled = template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = clean(String(fields[name] ?? '')).trim();
+      complete = complete && value !== '';
+      return value;
+    }).trim();
+    
+    return complete && filled ? filled : null;
+  }
+  
+  /**
+   * Write the configured meta fields of an entry's timesheet through the timesheet meta API.
+   * Fields whose template uses an empty Harvest field are skipped on creation and cleared on update.
+   * @param {String} kimaiId - Kimai timesheet ID
+   * @param {Object} entry - Entry from storage
+   * @param {Object} options - Write options
+   * @param {Boolean} options.clear - Clear fields without a value, left over from an earlier version of the entry
+   * @returns {Promise<void>}
+   * @throws {Error} When Kimai rejects a field, e.g. because it is not registered
+   */
+  async writeMetaFields(kimaiId, entry, { clear = false } = {}) {
+    for (const { name, template } of this.metaFields) {
+      const value = this.fillTemplate(template, entry);
+      
+      if (value === null && !clear) {
+        continue;
+      }
+      
+      try {
+        await this.api.updateTimesheetMeta(kimaiId, name, value ?? '');
+      } catch (error) {
+        error.message = `Timesheet ${kimaiId} saved, but meta field ${name} was not: ${error.message}`;
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Get the billable status and, with the harvest rate policy, the rates of a timesheet.
+   * Entries extracted before billing was tracked leave everything to Kimai.
+   * @param {Object} entry - Entry from storage
+   * @returns {Object} Billing fields of the Kimai timesheet
+   */
+  getBilling(entry) {
+    if (entry.billable === null || entry.billable === undefined) {
+      return {};
+    }
+    
+    const billing = { billable: Boolean(entry.billable) };
+    
+    // Sending rates needs the edit_rate_own_timesheet or edit_rate_other_timesheet permission
+    if (this.rates.policy === 'harvest') {
+      if (!entry.billable) {
+        // Non-billable work earns nothing in Harvest, whatever Kimai's rate rules say
+        billing.fixedRate = 0;
+      } else if (entry.billable_rate !== null) {
+        billing.hourlyRate = entry.billable_rate;
+      }
+      if (entry.cost_rate !== null) {
+        billing.internalRate = entry.cost_rate;
+      }
+    }
+    return billing;
+  }
 }
 
 module.exports = KimaiImporter;
@@ -0,0 +1,50 @@
+// Tag prefix identifying the Harvest entry a Kimai timesheet was imported from
+const MARKER_PREFIX = 'harvest:';
+
+/**
+ * Durable link between a Kimai timesheet and its Harvest entry, stored as a tag on the
+ * timesheet so it survives the loss of the local database
+ */
+class HarvestMarker {
+  /**
+   * Build the marker tag for a Harvest entry
+   * @param {String} harvestId - Harvest entry ID
+   * @returns {String} Tag name, e.g. harvest:2412345678
+   */
+  static tag(harvestId) {
+    return `${MARKER_PREFIX}${harvestId}`;
+  }
+
+  /**
+   * Read the Harvest entry ID from a timesheet's marker tag
+   * @param {Object} timesheet - Timesheet from the Kimai API
+   * @returns {String|null} Harvest entry ID, or null if the timesheet has no marker
+   */
+  static parse(timesheet) {
+    // Collections list tag names, some Kimai versions return tag objects instead
+    const names = (timesheet.tags || []).map(tag => (typeof tag === 'string' ? tag : tag.name));
+    const marker = names.find(name => name && name.startsWith(MARKER_PREFIX));
+
+    return marker ? marker.slice(MARKER_PREFIX.length) : null;
+  }
+
+  /**
+   * Index timesheets by the Harvest entry their marker points to
+   * @param {Array} timesheets - Timesheets from the Kimai API
+   * @returns {Map<String, Object>} Timesheet per Harvest entry ID
+   */
+  static index(timesheets) {
+    const markers = new Map();
+
+    for (const timesheet of timesheets) {
+      const harvestId = this.parse(timesheet);
+      if (harvestId) {
+        markers.set(harvestId, timesheet);
+      }
+    }
+
+    return markers;
+  }
+}
+
+module.exports = HarvestMarker;
@@ -0,0 +1,118 @@
+const Config = require('../utils/config');
+const TaskMatcher = require('../utils/match');
+const logger = require('../utils/logger');
+
+/**
+ * Creates the Kimai customers, projects and activities that pending entries are missing,
+ * mirroring the Harvest client → project hierarchy, and records them in the mapping tables
+ */
+class KimaiProvisioner {
+  /**
+   * @param {KimaiApi} api - Kimai API client
+   * @param {Storage} storage - Local storage
+   */
+  constructor(api, storage) {
+    this.api = api;
+    this.storage = storage;
+  }
+
+  /**
+   * Make sure every pending entry has a Kimai project and activity.
+   * Existing Kimai records with the same name are reused before anything is created.
+   * Harvest tasks become global activities, so one activity serves every project.
+   * @param {Array} entries - Pending entries from storage
+   * @param {Object} options - Provisioning options
+   * @param {Boolean} options.dryRun - Only log what would be created
+   * @returns {Promise<{customers: number, projects: number, activities: number}>} Number of records created (or that would be)
+   */
+  async ensureMappings(entries, { dryRun = false } = {}) {
+    const created = { customers: 0, projects: 0, activities: 0 };
+
+    // Collect the distinct client/project pairs and tasks that have no mapping yet. Entries
+    // whose activity already brings a project need none: a new project mapping would override it.
+    const checkedProjects = new Set();
+    const missingProjects = [];
+    const missingTasks = new Set();
+
+    for (const entry of entries) {
+      const key = `${entry.client}|${entry.project}`;
+      if (entry.client && entry.project && !entry.kimai_project_id && !checkedProjects.has(key)) {
+        checkedProjects.add(key);
+        if (!(await this.storage.getProjectMapping(entry.client, entry.project))) {
+          missingProjects.push({ client: entry.client, project: entry.project });
+        }
+      }
+      if (entry.task && !entry.kimai_activity_id) {
+        missingTasks.add(entry.task);
+      }
+    }
+
+    if (missingProjects.length === 0 && missingTasks.size === 0) {
+      logger.info('All pending entries have Kimai counterparts, nothing to create');
+      return created;
+    }
+
+    logger.info(`Found ${missingProjects.length} client/projects and ${missingTasks.size} tasks without Kimai counterparts`);
+
+    const sameName = (a, b) => TaskMatcher.normalize(a) === TaskMatcher.normalize(b);
+    const customers = await this.api.getCustomers();
+    const projects = await this.api.getProjects();
+    const activities = await this.api.getActivities();
+    const { customerDefaults } = Config.getKimaiConfig();
+
+    for (const { client, project } of missingProjects) {
+      let customer = customers.find(candidate => sameName(candidate.name, client));
+
+      if (!customer) {
+        created.customers++;
+        if (dryRun) {
+          logger.info(`Would create Kimai customer "${client}"`);
+          customer = { id: null, name: client };
+          customers.push(customer);
+        } else {
+          customer = await this.api.createCustomer({ name: client, ...customerDefaults });
+          customers.push(customer);
+        }
+      }
+
+      let kimaiProject = projects.find(candidate =>
+        candidate.customer === customer.id && customer.id !== null && sameName(candidate.name, project)
+      );
+
+      if (!kimaiProject) {
+        created.projects++;
+        if (dryRun) {
+          logger.info(`Would create Kimai project "${project}" for customer "${client}"`);
+          continue;
+        }
+        kimaiProject = await this.api.createProject({ name: project, customer: customer.id });
+        projects.push(kimaiProject);
+        await this.storage.setProjectMapping(client, project, customer.id.toString(), kimaiProject.id.toString(), 'created');
+      } else if (!dryRun) {
+        await this.storage.setProjectMapping(client, project, customer.id.toString(), kimaiProject.id.toString(), 'auto');
+      }
+    }
+
+    for (const task of missingTasks) {
+      let activity = activities.find(candidate => !candidate.project && sameName(candidate.name, task));
+
+      if (!activity) {
+        created.activities++;
+        if (dryRun) {
+          logger.info(`Would create global Kimai activity "${task}"`);
+          continue;
+        }
+        activity = await this.api.createActivity({ name: task });
+        activities.push(activity);
+        await this.storage.setTaskMapping(task, null, activity.id.toString(), 'created');
+      } else if (!dryRun) {
+        await this.storage.setTaskMapping(task, null, activity.id.toString(), 'auto');
+      }
+    }
+
+    logger.info(`${dryRun ? 'Would create' : 'Created'} ${created.customers} customers, ${created.projects} projects and ${created.activities} activities in Kimai`);
+    return created;
+  }
+}
+
+module.exports = KimaiProvisioner;
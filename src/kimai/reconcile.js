@@ -0,0 +1,115 @@
+const KimaiApi = require('./api');
+const HarvestMarker = require('./marker');
+const Storage = require('../db/storage');
+const logger = require('../utils/logger');
+
+/**
+ * Rebuilds the local import state of time entries from the Harvest markers on Kimai timesheets
+ */
+class KimaiReconciler {
+  constructor() {
+    this.api = new KimaiApi();
+    this.storage = new Storage();
+  }
+
+  /**
+   * Scan Kimai timesheets in a date range and bring the local import state in line with them.
+   * Entries whose marker is found are linked to that timesheet and marked imported, unless
+   * they were deleted in Harvest or wait to push a change; entries linked to a timesheet that
+   * no longer exists become pending again.
+   * @param {String} from - Start date (YYYY-MM-DD)
+   * @param {String} to - End date (YYYY-MM-DD)
+   * @param {Object} options - Reconcile options
+   * @param {Boolean} options.dryRun - Only report what would change
+   * @returns {Promise<{timesheets: number, marked: number, restored: number, unchanged: number, reset: number, unknown: number, entries: Array<Object>}>} Run summary with one row per change
+   */
+  async reconcile(from, to, { dryRun = false } = {}) {
+    try {
+      logger.info(`Reconciling imported entries from ${from} to ${to} with Kimai`);
+      await this.storage.ready;
+
+      const timesheets = await this.api.getTimesheets(`${from}T00:00:00`, `${to}T23:59:59`, { allUsers: await this.storage.hasUserMappings() });
+      const markers = HarvestMarker.index(timesheets);
+      const timesheetIds = new Set(timesheets.map(timesheet => timesheet.id.toString()));
+      const entries = await this.storage.getEntries(from, to);
+      const localIds = new Set(entries.map(entry => entry.harvest_id.toString()));
+
+      const summary = {
+        timesheets: timesheets.length,
+        marked: markers.size,
+        restored: 0,
+        unchanged: 0,
+        reset: 0,
+        unknown: 0,
+        entries: []
+      };
+
+      for (const entry of entries) {
+        const timesheet = markers.get(entry.harvest_id.toString());
+
+        if (timesheet) {
+          const kimaiId = timesheet.id.toString();
+
+          // Already linked; if the entry is pending because it changed in Harvest, the next import updates it
+          if (entry.kimai_id === kimaiId) {
+            summary.unchanged++;
+            continue;
+          }
+
+          if (!dryRun) {
+            await this.storage.linkKimaiTimesheet(entry.harvest_id, kimaiId);
+          }
+          summary.entries.push(this.describeEntry(entry.harvest_id, entry.date, 'restored', kimaiId, `Linked by marker, was ${entry.kimai_id ? `timesheet ${entry.kimai_id}` : 'not imported'}`));
+          summary.restored++;
+          continue;
+        }
+
+        // Timesheets imported before markers existed are still recognized by their ID
+        if (entry.kimai_id && !timesheetIds.has(entry.kimai_id)) {
+          if (!dryRun) {
+            await this.storage.markKimaiTimesheetDeleted(entry.harvest_id);
+          }
+          summary.entries.push(this.describeEntry(entry.harvest_id, entry.date, 'reset', entry.kimai_id, 'Kimai timesheet no longer exists'));
+          summary.reset++;
+          continue;
+        }
+
+        summary.unchanged++;
+      }
+
+      for (const [harvestId, timesheet] of markers) {
+        if (!localIds.has(harvestId)) {
+          summary.entries.push(this.describeEntry(harvestId, null, 'unknown', timesheet.id.toString(), 'Harvest entry not extracted for this range'));
+          summary.unknown++;
+        }
+      }
+
+      logger.info(`Reconcile ${dryRun ? 'dry run ' : ''}complete: ${summary.timesheets} Kimai timesheets scanned, ${summary.marked} with a Harvest marker, ${summary.restored} entries restored, ${summary.reset} entries reset to pending, ${summary.unchanged} entries unchanged, ${summary.unknown} markers without a local entry`);
+      return summary;
+    } catch (error) {
+      logger.error(`Error reconciling with Kimai: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Describe a change made (or that would be made) to an entry's import state
+   * @param {String} harvestId - Harvest entry ID
+   * @param {String|null} date - Entry date, if the entry is stored locally
+   * @param {String} action - restored, reset or unknown
+   * @param {String} kimaiId - Kimai timesheet ID
+   * @param {String} reason - Why the state changed
+   * @returns {Object} Report row
+   */
+  describeEntry(harvestId, date, action, kimaiId, reason) {
+    return {
+      harvest_id: harvestId,
+      date,
+      action,
+      kimai_id: kimaiId,
+      reason
+    };
+  }
+}
+
+module.exports = KimaiReconciler;
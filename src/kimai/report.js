@@ -0,0 +1,281 @@
+const KimaiApi = require('./api');
+const HarvestMarker = require('./marker');
+const Storage = require('../db/storage');
+const Config = require('../utils/config');
+const DateUtils = require('../utils/date');
+const logger = require('../utils/logger');
+
+/**
+ * Compares the hours stored from Harvest with the hours in Kimai, per entry and per
+ * day, client, project and task
+ */
+class KimaiReporter {
+  constructor() {
+    this.api = new KimaiApi();
+    this.storage = new Storage();
+    this.timeZone = Config.getTimezone();
+  }
+
+  /**
+   * Compare Harvest entries and Kimai timesheets in a date range.
+   * Timesheets are matched to entries by their Harvest marker, or by the stored kimai_id for
+   * timesheets imported before markers existed. Timesheets without a Harvest entry are
+   * grouped under the Harvest client, project and task mapped to their Kimai project and
+   * activity, or under the Kimai names when no single Harvest task maps to them.
+   * @param {String} from - Start date (YYYY-MM-DD)
+   * @param {String} to - End date (YYYY-MM-DD)
+   * @returns {Promise<{harvestHours: number, kimaiHours: number, missing: number, extra: number, different: number, totals: Array<Object>, differences: Array<Object>}>} Report with one row per group and one per differing entry
+   */
+  async compare(from, to) {
+    try {
+      logger.info(`Comparing Harvest and Kimai hours from ${from} to ${to}`);
+      await this.storage.ready;
+
+      const entries = await this.storage.getMappedEntries(from, to);
+      const timesheets = await this.api.getTimesheets(`${from}T00:00:00`, `${to}T23:59:59`, { allUsers: await this.storage.hasUserMappings() });
+      const markers = HarvestMarker.index(timesheets);
+      const timesheetsById = new Map(timesheets.map(timesheet => [timesheet.id.toString(), timesheet]));
+      const entriesById = new Map(entries.map(entry => [entry.harvest_id.toString(), entry]));
+      const matched = new Set();
+      const totals = new Map();
+
+      const report = {
+        harvestHours: 0,
+        kimaiHours: 0,
+        missing: 0,
+        extra: 0,
+        different: 0,
+        totals: [],
+        differences: []
+      };
+
+      for (const entry of entries) {
+        const timesheet = markers.get(entry.harvest_id.toString()) || (entry.kimai_id && timesheetsById.get(entry.kimai_id));
+
+        if (timesheet) {
+          matched.add(timesheet.id.toString());
+        }
+
+        // Entries deleted in Harvest only count on the Kimai side, where their timesheet is extra
+        if (entry.status === Storage.EntryState.DELETED) {
+          if (timesheet) {
+            this.addMinutes(totals, this.getTimesheetDate(timesheet), entry, 'kimai', this.getTimesheetMinutes(timesheet));
+            report.differences.push(this.describeDifference('extra', entry, timesheet, 'Harvest entry was deleted'));
+            report.extra++;
+          }
+          continue;
+        }
+
+        const harvestMinutes = Math.round(entry.hours * 60);
+        this.addMinutes(totals, entry.date, entry, 'harvest', harvestMinutes);
+
+        if (!timesheet) {
+          report.differences.push(this.describeDifference('missing', entry, null, `No Kimai timesheet, entry is ${entry.status}`));
+          report.missing++;
+          continue;
+        }
+
+        const kimaiMinutes = this.getTimesheetMinutes(timesheet);
+        this.addMinutes(totals, entry.date, entry, 'kimai', kimaiMinutes);
+
+        if (kimaiMinutes !== harvestMinutes) {
+          report.differences.push(this.describeDifference('different', entry, timesheet, `Kimai has ${this.toHours(Math.abs(kimaiMinutes - harvestMinutes))}h ${kimaiMinutes > harvestMinutes ? 'more' : 'less'}`));
+          report.different++;
+        }
+      }
+
+      const unmatched = timesheets.filter(timesheet => !matched.has(timesheet.id.toString()));
+      const groups = await this.getTimesheetGroups(unmatched, entries);
+
+      for (const timesheet of unmatched) {
+        const harvestId = HarvestMarker.parse(timesheet);
+        const group = groups.get(timesheet.id.toString());
+        const reason = harvestId && !entriesById.has(harvestId)
+          ? `Harvest entry ${harvestId} not extracted for this range`
+          : 'No matching Harvest entry';
+
+        this.addMinutes(totals, this.getTimesheetDate(timesheet), group, 'kimai', this.getTimesheetMinutes(timesheet));
+        report.differences.push(this.describeDifference('extra', { ...group, harvest_id: harvestId }, timesheet, reason));
+        report.extra++;
+      }
+
+      report.totals = [...totals.values()]
+        .sort((a, b) => ['date', 'client', 'project', 'task'].reduce((order, key) => order || String(a[key]).localeCompare(String(b[key])), 0))
+        .map(total => this.describeTotal(total));
+      report.differences.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+      report.harvestHours = this.toHours([...totals.values()].reduce((sum, total) => sum + total.harvest, 0));
+      report.kimaiHours = this.toHours([...totals.values()].reduce((sum, total) => sum + total.kimai, 0));
+
+      logger.info(`Report complete: ${report.harvestHours}h in Harvest, ${report.kimaiHours}h in Kimai, ${report.missing} entries missing in Kimai, ${report.extra} extra Kimai timesheets, ${report.different} entries with a different duration`);
+      return report;
+    } catch (error) {
+      logger.error(`Error comparing with Kimai: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Work out the Harvest client, project and task to report Kimai-only timesheets under
+   * @param {Array} timesheets - Timesheets without a matching Harvest entry
+   * @param {Array} entries - Mapped entries of the report range
+   * @returns {Promise<Map<String, {client: string, project: string, task: string}>>} Group per timesheet ID
+   */
+  async getTimesheetGroups(timesheets, entries) {
+    const groups = new Map();
+
+    if (timesheets.length === 0) {
+      return groups;
+    }
+
+    // Harvest tasks per Kimai project and activity, as far as the mappings are unambiguous
+    const mapped = new Map();
+    for (const entry of entries) {
+      const key = `${entry.kimai_project_id}/${entry.kimai_activity_id}`;
+      const group = { client: entry.client, project: entry.project, task: entry.task };
+
+      if (!mapped.has(key)) {
+        mapped.set(key, group);
+      } else if (mapped.get(key) && this.getGroupKey(null, mapped.get(key)) !== this.getGroupKey(null, group)) {
+        mapped.set(key, null);
+      }
+    }
+
+    let names = null;
+    for (const timesheet of timesheets) {
+      const group = mapped.get(`${timesheet.project}/${timesheet.activity}`);
+
+      if (group) {
+        groups.set(timesheet.id.toString(), group);
+        continue;
+      }
+
+      names = names || await this.getKimaiNames();
+      const project = names.projects.get(timesheet.project);
+      groups.set(timesheet.id.toString(), {
+        client: project ? project.parentTitle : null,
+        project: project ? project.name : `Kimai project ${timesheet.project}`,
+        task: names.activities.get(timesheet.activity) || `Kimai activity ${timesheet.activity}`
+      });
+    }
+
+    return groups;
+  }
+
+  /**
+   * Load Kimai project and activity names by ID
+   * @returns {Promise<{projects: Map<Number, Object>, activities: Map<Number, String>}>} Projects and activity names
+   */
+  async getKimaiNames() {
+    const projects = await this.api.getProjects();
+    const activities = await this.api.getActivities();
+
+    return {
+      projects: new Map(projects.map(project => [project.id, project])),
+      activities: new Map(activities.map(activity => [activity.id, activity.name]))
+    };
+  }
+
+  /**
+   * Add minutes to the Harvest or Kimai total of a day, client, project and task
+   * @param {Map<String, Object>} totals - Totals per group, updated in place
+   * @param {String} date - Date (YYYY-MM-DD)
+   * @param {Object} group - Anything with client, project and task
+   * @param {String} side - harvest or kimai
+   * @param {Number} minutes - Minutes to add
+   */
+  addMinutes(totals, date, group, side, minutes) {
+    const key = this.getGroupKey(date, group);
+
+    if (!totals.has(key)) {
+      totals.set(key, { date, client: group.client, project: group.project, task: group.task, harvest: 0, kimai: 0 });
+    }
+    totals.get(key)[side] += minutes;
+  }
+
+  /**
+   * Build the key of a day, client, project and task
+   * @param {String|null} date - Date (YYYY-MM-DD), or null to compare client, project and task only
+   * @param {Object} group - Anything with client, project and task
+   * @returns {String} Group key
+   */
+  getGroupKey(date, group) {
+    return JSON.stringify([date, group.client, group.project, group.task]);
+  }
+
+  /**
+   * Get the date a Kimai timesheet starts on, in the configured time zone
+   * @param {Object} timesheet - Timesheet from the Kimai API
+   * @returns {String} Date (YYYY-MM-DD)
+   */
+  getTimesheetDate(timesheet) {
+    return DateUtils.formatDate(new Date(timesheet.begin), this.timeZone);
+  }
+
+  /**
+   * Get the duration of a Kimai timesheet; running timesheets count up to now
+   * @param {Object} timesheet - Timesheet from the Kimai API
+   * @returns {Number} Duration in minutes
+   */
+  getTimesheetMinutes(timesheet) {
+    const end = timesheet.end ? new Date(timesheet.end) : new Date();
+    return Math.round((end - new Date(timesheet.begin)) / 60000);
+  }
+
+  /**
+   * Convert minutes to hours, rounded to two decimals
+   * @param {Number} minutes - Minutes
+   * @returns {Number} Hours
+   */
+  toHours(minutes) {
+    return Math.round(minutes / 60 * 100) / 100;
+  }
+
+  /**
+   * Describe the Harvest and Kimai totals of a day, client, project and task
+   * @param {Object} total - Totals in minutes
+   * @returns {Object} Report row
+   */
+  describeTotal(total) {
+    let status = 'ok';
+
+    if (total.harvest !== total.kimai) {
+      status = total.kimai === 0 ? 'missing' : total.harvest === 0 ? 'extra' : 'different';
+    }
+
+    return {
+      date: total.date,
+      client: total.client,
+      project: total.project,
+      task: total.task,
+      harvest_hours: this.toHours(total.harvest),
+      kimai_hours: this.toHours(total.kimai),
+      difference: this.toHours(total.kimai - total.harvest),
+      status
+    };
+  }
+
+  /**
+   * Describe an entry or timesheet that is missing, extra or of a different duration in Kimai
+   * @param {String} type - missing, extra or different
+   * @param {Object} entry - Harvest entry, or the group of a Kimai-only timesheet
+   * @param {Object|null} timesheet - Kimai timesheet, if there is one
+   * @param {String} reason - Why the entry is listed
+   * @returns {Object} Report row
+   */
+  describeDifference(type, entry, timesheet, reason) {
+    return {
+      type,
+      date: timesheet ? this.getTimesheetDate(timesheet) : entry.date,
+      client: entry.client,
+      project: entry.project,
+      task: entry.task,
+      harvest_id: entry.harvest_id || null,
+      kimai_id: timesheet ? timesheet.id.toString() : null,
+      harvest_hours: type === 'extra' ? null : entry.hours,
+      kimai_hours: timesheet ? this.toHours(this.getTimesheetMinutes(timesheet)) : null,
+      reason
+    };
+  }
+}
+
+module.exports = KimaiReporter;
@@ -0,0 +1,65 @@
+/**
+ * Raised when an entry cannot be placed on its day without overlapping other timesheets
+ */
+class ScheduleConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleConflictError';
+  }
+}
+
+/**
+ * Tracks the busy intervals of one day so timesheets can be placed without overlaps
+ */
+class DaySchedule {
+  /**
+   * @param {Date} windowStart - Earliest time synthesized entries may start
+   * @param {Date} windowEnd - Latest time synthesized entries may end
+   */
+  constructor(windowStart, windowEnd) {
+    this.windowStart = windowStart;
+    this.windowEnd = windowEnd;
+    this.busy = [];
+  }
+
+  /**
+   * Mark an interval as taken
+   * @param {Date} begin - Start of the interval
+   * @param {Date} end - End of the interval
+   * @param {String} label - What occupies the interval, for conflict messages
+   */
+  reserve(begin, end, label) {
+    this.busy.push({ begin, end, label });
+    this.busy.sort((a, b) => a.begin - b.begin);
+  }
+
+  /**
+   * Find the first busy interval overlapping a time range
+   * @param {Date} begin - Start of the range
+   * @param {Date} end - End of the range
+   * @returns {Object|null} The overlapping interval, if any
+   */
+  findOverlap(begin, end) {
+    return this.busy.find(interval => interval.begin < end && begin < interval.end) || null;
+  }
+
+  /**
+   * Find the earliest free slot of a given length that ends within the window
+   * @param {Number} durationMs - Length of the slot in milliseconds
+   * @param {Date} notBefore - Earliest start of the slot, defaults to the window start
+   * @returns {Date|null} Start of the slot, or null if the day is too full
+   */
+  findSlot(durationMs, notBefore = this.windowStart) {
+    let candidate = notBefore.getTime();
+
+    for (const interval of this.busy) {
+      if (interval.end.getTime() <= candidate) continue;
+      if (candidate + durationMs <= interval.begin.getTime()) break;
+      candidate = interval.end.getTime();
+    }
+
+    return candidate + durationMs <= this.windowEnd.getTime() ? new Date(candidate) : null;
+  }
+}
+
+module.exports = { DaySchedule, ScheduleConflictError };
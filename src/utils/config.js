@@ -1,31 +1,284 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
 const logger = require('./logger');
+const DateUtils = require('./date');
+
+// Config file looked for in the working directory when none is given
+const DEFAULT_CONFIG_FILE = 'harvest-kimai.json';
+
+// Settings a profile can hold, by the environment variable that overrides them
+const SETTINGS = {
+  HARVEST_ACCESS_TOKEN: 'harvest.accessToken',
+  HARVEST_ACCOUNT_ID: 'harvest.accountId',
+  KIMAI_URL: 'kimai.url',
+  KIMAI_API_USERNAME: 'kimai.username',
+  KIMAI_API_TOKEN: 'kimai.token',
+  KIMAI_CUSTOMER_COUNTRY: 'kimai.customerCountry',
+  KIMAI_CUSTOMER_CURRENCY: 'kimai.customerCurrency',
+  KIMAI_CUSTOMER_TIMEZONE: 'kimai.customerTimezone',
+  KIMAI_TAGS: 'kimai.tags',
+  KIMAI_META_FIELDS: 'kimai.metaFields',
+  DATABASE_PATH: 'database',
+  TIMEZONE: 'timezone',
+  WORKDAY_START: 'workday.start',
+  WORKDAY_END: 'workday.end',
+  HTTP_TIMEOUT_MS: 'http.timeoutMs',
+  HTTP_MAX_RETRIES: 'http.maxRetries',
+  MATCH_AUTO_ACCEPT: 'matching.autoAccept',
+  MATCH_REVIEW_THRESHOLD: 'matching.reviewThreshold',
+  RATE_POLICY: 'rates.policy'
+};
+
+// Harvest fields tag and meta field templates can refer to, e.g. client:{client}
+const TEMPLATE_FIELDS = ['harvest_id', 'client', 'project', 'task', 'user', 'external_reference', 'external_reference_permalink'];
+
+// Where timesheet rates come from: Kimai's own rate rules, or the rates tracked in Harvest
+const RATE_POLICIES = ['kimai', 'harvest'];
+
+// Keys of a profile that are not plain settings
+const PROFILE_SECTIONS = ['mappings'];
+
+// The profile in use, once loaded
+let activeProfile = null;
 
 /**
- * Configuration manager that loads and validates environment variables
+ * Configuration manager that loads and validates settings from environment variables and
+ * from a named profile in a JSON config file. Environment variables win over the profile.
  */
 class Config {
+  /**
+   * Yargs options selecting the config file and profile, shared by all commands
+   */
+  static get cliOptions() {
+    return {
+      config: {
+        describe: `Config file with named profiles (default: HARVEST_KIMAI_CONFIG, or ${DEFAULT_CONFIG_FILE} if it exists)`,
+        type: 'string'
+      },
+      profile: {
+        describe: 'Profile of the config file to use (default: HARVEST_KIMAI_PROFILE, or the file\'s defaultProfile)',
+        type: 'string'
+      }
+    };
+  }
+
+  /**
+   * Load a profile from a config file. Without a file, only environment variables are used.
+   * Reports every problem with the file and the profile at once.
+   * @param {Object} options - Where to load from
+   * @param {String} options.file - Config file, defaults to HARVEST_KIMAI_CONFIG or harvest-kimai.json when it exists
+   * @param {String} options.profile - Profile name, defaults to HARVEST_KIMAI_PROFILE or the file's defaultProfile
+   * @returns {String|null} Name of the loaded profile, or null without a config file
+   * @throws {Error} When the file cannot be read or the profile is missing or invalid
+   */
+  static load({ file, profile } = {}) {
+    const filePath = file || process.env.HARVEST_KIMAI_CONFIG || (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+    const name = profile || process.env.HARVEST_KIMAI_PROFILE;
+
+    if (!filePath) {
+      if (name) {
+        throw new Error(`Profile "${name}" was selected, but there is no ${DEFAULT_CONFIG_FILE} and no config file was given`);
+      }
+      activeProfile = { name: null, values: {}, dir: process.cwd(), shared: false };
+      return null;
+    }
+
+    let document;
+    try {
+      document = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read config file ${filePath}: ${error.message}`);
+    }
+
+    const profiles = document.profiles || {};
+    const names = Object.keys(profiles);
+    const selected = name || document.defaultProfile || (names.length === 1 ? names[0] : null);
+
+    if (!selected) {
+      throw new Error(`Config file ${filePath} has several profiles and no defaultProfile; choose one with --profile: ${names.join(', ')}`);
+    }
+    if (!profiles[selected]) {
+      throw new Error(`Config file ${filePath} has no profile "${selected}"; available profiles: ${names.join(', ') || 'none'}`);
+    }
+
+    const errors = this.checkProfile(selected, profiles[selected]);
+    if (errors.length > 0) {
+      throw new Error(`Invalid profile "${selected}" in ${filePath}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+
+    activeProfile = { name: selected, values: profiles[selected], dir: path.dirname(path.resolve(filePath)), shared: names.length > 1 };
+    logger.info(`Using profile "${selected}" from ${filePath}`);
+    return selected;
+  }
+
+  /**
+   * Yargs middleware loading the config file and profile given on the command line.
+   * Yargs does not route middleware errors to its failure handler, so a config file that
+   * cannot be used is reported here and ends the process.
+   * @param {Object} argv - Parsed arguments with config and profile
+   */
+  static loadFromArgs(argv) {
+    try {
+      Config.load({ file: argv.config, profile: argv.profile });
+    } catch (error) {
+      logger.error(error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Check the structure of a profile: its name, unknown keys and the type of each setting
+   * @param {String} name - Profile name
+   * @param {Object} values - Profile from the config file
+   * @returns {Array<String>} Problems found
+   */
+  static checkProfile(name, values) {
+    const errors = [];
+    const known = new Set(Object.values(SETTINGS));
+
+    if (!/^[\w.-]+$/.test(name)) {
+      errors.push('profile names may only contain letters, digits, dots, dashes and underscores');
+    }
+
+    const visit = (object, prefix) => {
+      for (const [key, value] of Object.entries(object)) {
+        const setting = prefix ? `${prefix}.${key}` : key;
+
+        if (!prefix && PROFILE_SECTIONS.includes(key)) {
+          continue;
+        }
+        if (value !== null && typeof value === 'object' && !Array.isArray(value) && [...known].some(candidate => candidate.startsWith(`${setting}.`))) {
+          visit(value, setting);
+        } else if (!known.has(setting)) {
+          errors.push(`unknown setting "${setting}"`);
+        } else if (!['string', 'number'].includes(typeof value)) {
+          errors.push(`"${setting}" must be a string or a number`);
+        }
+      }
+    };
+    visit(values, '');
+
+    return errors;
+  }
+
+  /**
+   * Get the name of the profile in use
+   * @returns {String|null} Profile name, or null when only environment variables are used
+   */
+  static getProfileName() {
+    return this.getProfile().name;
+  }
+
+  /**
+   * Get the profile in use, loading the default one on first use
+   * @returns {{name: string|null, values: Object, dir: string, shared: boolean}} Profile, shared when its file has other profiles
+   */
+  static getProfile() {
+    if (!activeProfile) {
+      this.load();
+    }
+    return activeProfile;
+  }
+
+  /**
+   * Look up a setting, preferring the environment variable over the profile
+   * @param {String} name - Environment variable name, e.g. KIMAI_URL
+   * @returns {{value: *, source: string|null}} Value, and whether it came from 'env' or 'profile'
+   */
+  static lookup(name) {
+    if (process.env[name] !== undefined && process.env[name] !== '') {
+      return { value: process.env[name], source: 'env' };
+    }
+
+    const value = SETTINGS[name].split('.').reduce((object, key) => (object == null ? undefined : object[key]), this.getProfile().values);
+    return value === undefined || value === null || value === '' ? { value: undefined, source: null } : { value, source: 'profile' };
+  }
+
+  /**
+   * Get a setting, preferring the environment variable over the profile
+   * @param {String} name - Environment variable name, e.g. KIMAI_URL
+   * @returns {*} Value, or undefined if not set
+   */
+  static get(name) {
+    return this.lookup(name).value;
+  }
+
+  /**
+   * Describe where a setting can be given, for error messages
+   * @param {String} name - Environment variable name
+   * @returns {String} Environment variable and profile key
+   */
+  static describe(name) {
+    return `${name} (profile: ${SETTINGS[name]})`;
+  }
+
+  /**
+   * Throw an error listing every problem found in a group of settings
+   * @param {Array<String>} errors - Problems found
+   * @throws {Error} When there is at least one problem
+   */
+  static check(errors) {
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+  }
+
+  /**
+   * Check several groups of settings and report every problem at once
+   * @param {Array<String>} groups - Groups to check: harvest, kimai, database, timezone, http, workday, matching, rates, tags, meta, mappings
+   * @throws {Error} When any setting is missing or invalid
+   */
+  static validate(groups) {
+    const getters = {
+      harvest: () => this.getHarvestConfig(),
+      kimai: () => this.getKimaiConfig(),
+      database: () => this.getDatabasePath(),
+      timezone: () => this.getTimezone(),
+      http: () => this.getHttpConfig(),
+      workday: () => this.getWorkdayConfig(),
+      matching: () => this.getMatchingConfig(),
+      rates: () => this.getRateConfig(),
+      tags: () => this.getTagTemplates(),
+      meta: () => this.getMetaFields(),
+      mappings: () => this.getMappingRules()
+    };
+    const errors = [];
+
+    for (const group of groups) {
+      try {
+        getters[group]();
+      } catch (error) {
+        errors.push(...error.message.split('; '));
+      }
+    }
+
+    if (errors.length > 0) {
+      const profile = this.getProfileName();
+      throw new Error(`Invalid configuration${profile ? ` for profile "${profile}"` : ''}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+  }
+
   /**
    * Get Harvest API configuration
    * @returns {Object} Harvest API configuration
    */
   static getHarvestConfig() {
-    const accessToken = process.env.HARVEST_ACCESS_TOKEN;
-    const accountId = process.env.HARVEST_ACCOUNT_ID;
+    const accessToken = this.get('HARVEST_ACCESS_TOKEN');
+    const accountId = this.get('HARVEST_ACCOUNT_ID');
+    const errors = [];
     
     if (!accessToken) {
-      logger.error('Missing Harvest API credentials in environment variables');
-      throw new Error('HARVEST_ACCESS_TOKEN is required');
+      errors.push(`${this.describe('HARVEST_ACCESS_TOKEN')} is required`);
     }
-    
     if (!accountId) {
-      logger.error('Missing Harvest Account ID in environment variables');
-      throw new Error('HARVEST_ACCOUNT_ID is required');
+      errors.push(`${this.describe('HARVEST_ACCOUNT_ID')} is required`);
     }
+    this.check(errors);
 
     return {
-      accessToken,
-      accountId
+      accessToken: String(accessToken),
+      accountId: String(accountId)
     };
   }
 
@@ -34,19 +287,249 @@ class Config {
    * @returns {Object} Kimai API configuration
    */
   static getKimaiConfig() {
-    const url = process.env.KIMAI_URL;
-    const username = process.env.KIMAI_API_USERNAME;
-    const token = process.env.KIMAI_API_TOKEN;
+    const url = this.get('KIMAI_URL');
+    const username = this.get('KIMAI_API_USERNAME');
+    const token = this.get('KIMAI_API_TOKEN');
+    const errors = ['KIMAI_URL', 'KIMAI_API_USERNAME', 'KIMAI_API_TOKEN']
+      .filter(name => !this.get(name))
+      .map(name => `${this.describe(name)} is required`);
     
-    if (!url || !username || !token) {
-      logger.error('Missing Kimai API credentials in environment variables');
-      throw new Error('KIMAI_URL, KIMAI_API_USERNAME, and KIMAI_API_TOKEN are required');
+    if (url && !/^https?:\/\/\S+$/.test(url)) {
+      errors.push(`${this.describe('KIMAI_URL')} must be an http or https URL`);
     }
+    this.check(errors);
 
     return {
-      url,
+      url: url.replace(/\/+$/, ''),
       username,
-      token
+      token,
+      // Required by Kimai for customers created with --create-missing
+      customerDefaults: {
+        country: this.get('KIMAI_CUSTOMER_COUNTRY') || 'US',
+        currency: this.get('KIMAI_CUSTOMER_CURRENCY') || 'USD',
+        timezone: this.get('KIMAI_CUSTOMER_TIMEZONE') || 'UTC'
+      }
+    };
+  }
+
+  /**
+   * Get the path of the SQLite database. Relative paths from a profile are relative to the
+   * config file, those from DATABASE_PATH to the working directory. Without either, the
+   * existing data/timeEntries.db is used, also by profiles; when the config file has several
+   * profiles, those without a database of their own would share it, which is warned about.
+   * @returns {String} Absolute database path
+   */
+  static getDatabasePath() {
+    const { value, source } = this.lookup('DATABASE_PATH');
+    const profile = this.getProfile();
+
+    if (value) {
+      return path.resolve(source === 'profile' ? profile.dir : process.cwd(), String(value));
+    }
+    if (profile.shared) {
+      logger.warn(`Profile "${profile.name}" sets no database and uses the default data/timeEntries.db, together with every other profile without one; set "database" in each profile to keep the entries and mappings of different accounts apart`);
+    }
+    return path.join(__dirname, '../../data', 'timeEntries.db');
+  }
+
+  /**
+   * Get the time zone used for date ranges, day boundaries and timesheet times.
+   * Set TIMEZONE to the Kimai user's time zone; defaults to the host's time zone.
+   * @returns {String} IANA time zone name
+   */
+  static getTimezone() {
+    const timeZone = this.get('TIMEZONE') || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    
+    if (!DateUtils.isValidTimezone(timeZone)) {
+      throw new Error(`${this.describe('TIMEZONE')} must be an IANA time zone name such as Europe/Berlin, not "${timeZone}"`);
+    }
+
+    return timeZone;
+  }
+
+  /**
+   * Get the timeout and retry settings shared by the Harvest and Kimai clients
+   * @returns {{timeout: number, retries: number}} Timeout in milliseconds and maximum retries per request
+   */
+  static getHttpConfig() {
+    const timeout = Number(this.get('HTTP_TIMEOUT_MS') ?? 30000);
+    const retries = Number(this.get('HTTP_MAX_RETRIES') ?? 4);
+    const errors = [];
+
+    if (!Number.isInteger(timeout) || timeout <= 0) {
+      errors.push(`${this.describe('HTTP_TIMEOUT_MS')} must be a positive whole number`);
+    }
+    if (!Number.isInteger(retries) || retries < 0) {
+      errors.push(`${this.describe('HTTP_MAX_RETRIES')} must be a non-negative whole number`);
+    }
+    this.check(errors);
+
+    return {
+      timeout,
+      retries
+    };
+  }
+
+  /**
+   * Get the workday window synthesized timesheet times must fit in
+   * @returns {{start: {hours: number, minutes: number}, end: {hours: number, minutes: number}|null}} Window; a null end means midnight
+   */
+  static getWorkdayConfig() {
+    const start = DateUtils.parseClockTime(String(this.get('WORKDAY_START') || '09:00'));
+    const end = this.get('WORKDAY_END') ? DateUtils.parseClockTime(String(this.get('WORKDAY_END'))) : null;
+    const errors = [];
+    
+    if (!start) {
+      errors.push(`${this.describe('WORKDAY_START')} must be a clock time such as 09:00 or 6:00pm`);
+    }
+    if (this.get('WORKDAY_END') && !end) {
+      errors.push(`${this.describe('WORKDAY_END')} must be a clock time such as 18:00 or 6:00pm`);
+    }
+    this.check(errors);
+
+    return {
+      start,
+      end
+    };
+  }
+
+  /**
+   * Get task matching configuration
+   * @returns {Object} Score thresholds for auto-accepting and for suggesting a match
+   */
+  static getMatchingConfig() {
+    const autoAccept = parseFloat(this.get('MATCH_AUTO_ACCEPT') ?? '0.9');
+    const review = parseFloat(this.get('MATCH_REVIEW_THRESHOLD') ?? '0.6');
+    
+    if (isNaN(autoAccept) || isNaN(review) || review < 0 || autoAccept > 1 || review > autoAccept) {
+      throw new Error(`${this.describe('MATCH_REVIEW_THRESHOLD')} and ${this.describe('MATCH_AUTO_ACCEPT')} must be numbers with 0 <= MATCH_REVIEW_THRESHOLD <= MATCH_AUTO_ACCEPT <= 1`);
+    }
+
+    return {
+      autoAccept,
+      review
+    };
+  }
+
+  /**
+   * Get the rate policy of imported timesheets. With 'kimai' only the billable status is sent
+   * and Kimai's rate rules price the timesheet; with 'harvest' the Harvest rates are sent too.
+   * @returns {{policy: string}} Rate policy, kimai or harvest
+   */
+  static getRateConfig() {
+    const policy = this.get('RATE_POLICY') || 'kimai';
+
+    if (!RATE_POLICIES.includes(policy)) {
+      throw new Error(`${this.describe('RATE_POLICY')} must be one of ${RATE_POLICIES.join(', ')}, not "${policy}"`);
+    }
+
+    return {
+      policy
+    };
+  }
+
+  /**
+   * Get the templates of the tags added to imported timesheets, from the comma-separated
+   * KIMAI_TAGS, e.g. harvest-import,client:{client},{task}. The Harvest marker tag is always added.
+   * @returns {Array<String>} Tag templates, with placeholders such as {client}
+   */
+  static getTagTemplates() {
+    const templates = String(this.get('KIMAI_TAGS') || '').split(',').map(template => template.trim()).filter(Boolean);
+    const errors = [];
+
+    for (const template of templates) {
+      const unknown = this.getUnknownFields(template);
+
+      if (unknown) {
+        errors.push(`${this.describe('KIMAI_TAGS')} tag "${template}" ${unknown}`);
+      }
+      if (template.startsWith('harvest:')) {
+        errors.push(`${this.describe('KIMAI_TAGS')} tag "${template}" would be mistaken for the Harvest marker tag`);
+      }
+    }
+    this.check(errors);
+
+    return templates;
+  }
+
+  /**
+   * Get the Kimai meta fields written on imported timesheets, from the comma-separated
+   * KIMAI_META_FIELDS, e.g. harvest_id={harvest_id},issue={external_reference_permalink}.
+   * The fields must exist in Kimai, usually registered by a plugin.
+   * @returns {Array<{name: string, template: string}>} Meta field names with the template of their value
+   */
+  static getMetaFields() {
+    const mappings = String(this.get('KIMAI_META_FIELDS') || '').split(',').map(mapping => mapping.trim()).filter(Boolean);
+    const errors = [];
+    const fields = [];
+
+    for (const mapping of mappings) {
+      const separator = mapping.indexOf('=');
+      const name = mapping.slice(0, separator).trim();
+      const template = mapping.slice(separator + 1).trim();
+      const unknown = separator > 0 ? this.getUnknownFields(template) : null;
+
+      if (separator <= 0 || !/^[\w.-]+$/.test(name) || !template) {
+        errors.push(`${this.describe('KIMAI_META_FIELDS')} entry "${mapping}" must look like name={field}`);
+      } else if (unknown) {
+        errors.push(`${this.describe('KIMAI_META_FIELDS')} field "${name}" ${unknown}`);
+      } else {
+        fields.push({ name, template });
+      }
+    }
+    this.check(errors);
+
+    return fields;
+  }
+
+  /**
+   * Describe the unknown Harvest fields a tag or meta field template refers to
+   * @param {String} template - Template with placeholders such as {client}
+   * @returns {String|null} Problem description, or null if all fields are known
+   */
+  static getUnknownFields(template) {
+    const unknown = [...template.matchAll(/\{([^}]*)\}/g)].map(match => match[1]).filter(name => !TEMPLATE_FIELDS.includes(name));
+
+    if (unknown.length === 0) {
+      return null;
+    }
+    return `uses unknown fields ${unknown.map(name => `{${name}}`).join(', ')} (known: ${TEMPLATE_FIELDS.map(name => `{${name}}`).join(', ')})`;
+  }
+
+  /**
+   * Get the mapping rules of the profile, which take precedence over mappings made with the map command
+   * @returns {{tasks: Array<{task: string, kimaiProjectId: string|null, kimaiActivityId: string}>, projects: Array<{client: string, project: string, kimaiCustomerId: string|null, kimaiProjectId: string}>, users: Array<{harvestUser: string, kimaiUserId: string}>}} Task, project and user mapping rules
+   */
+  static getMappingRules() {
+    const { tasks = [], projects = [], users = [], ...rest } = this.getProfile().values.mappings || {};
+    const errors = Object.keys(rest).map(key => `unknown setting "mappings.${key}"`);
+    const id = (value) => (value === undefined || value === null ? null : String(value));
+
+    if (!Array.isArray(tasks) || !Array.isArray(projects) || !Array.isArray(users)) {
+      throw new Error('"mappings.tasks", "mappings.projects" and "mappings.users" must be lists');
+    }
+
+    tasks.forEach((rule, index) => {
+      if (!rule || typeof rule.task !== 'string' || !/^\d+$/.test(id(rule.kimaiActivity))) {
+        errors.push(`"mappings.tasks[${index}]" needs a task name and a numeric kimaiActivity`);
+      }
+    });
+    projects.forEach((rule, index) => {
+      if (!rule || typeof rule.client !== 'string' || typeof rule.project !== 'string' || !/^\d+$/.test(id(rule.kimaiProject))) {
+        errors.push(`"mappings.projects[${index}]" needs a client and project name and a numeric kimaiProject`);
+      }
+    });
+    users.forEach((rule, index) => {
+      if (!rule || !['string', 'number'].includes(typeof rule.harvestUser) || !/^\d+$/.test(id(rule.kimaiUser))) {
+        errors.push(`"mappings.users[${index}]" needs a Harvest user ID or name and a numeric kimaiUser`);
+      }
+    });
+    this.check(errors);
+
+    return {
+      tasks: tasks.map(rule => ({ task: rule.task, kimaiProjectId: id(rule.kimaiProject), kimaiActivityId: id(rule.kimaiActivity) })),
+      projects: projects.map(rule => ({ client: rule.client, project: rule.project, kimaiCustomerId: id(rule.kimaiCustomer), kimaiProjectId: id(rule.kimaiProject) })),
+      users: users.map(rule => ({ harvestUser: String(rule.harvestUser), kimaiUserId: id(rule.kimaiUser) }))
     };
   }
 }
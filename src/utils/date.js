@@ -1,31 +1,32 @@
 /**
- * Date utility functions for handling date operations
+ * Date utility functions for handling date operations.
+ * Calendar dates are YYYY-MM-DD strings; functions that turn an instant into a
+ * calendar date or clock time take the IANA time zone to do it in.
  */
 class DateUtils {
   /**
    * Get the start and end date for the current month
+   * @param {String} timeZone - IANA time zone deciding what "now" is
    * @returns {Object} Object containing from and to dates
    */
-  static getCurrentMonth() {
-    const now = new Date();
-    const from = new Date(now.getFullYear(), now.getMonth(), 1);
-    const to = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+  static getCurrentMonth(timeZone = 'UTC') {
+    const [year, month] = this.today(timeZone).split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const prefix = `${year}-${String(month).padStart(2, '0')}`;
     
     return {
-      from: this.formatDate(from),
-      to: this.formatDate(to)
+      from: `${prefix}-01`,
+      to: `${prefix}-${String(lastDay).padStart(2, '0')}`
     };
   }
 
   /**
    * Get yesterday's date
+   * @param {String} timeZone - IANA time zone deciding what "now" is
    * @returns {Object} Object containing from and to dates (both set to yesterday)
    */
-  static getYesterday() {
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    
-    const dateStr = this.formatDate(yesterday);
+  static getYesterday(timeZone = 'UTC') {
+    const dateStr = this.addDays(this.today(timeZone), -1);
     
     return {
       from: dateStr,
@@ -33,13 +34,122 @@ class DateUtils {
     };
   }
 
+  /**
+   * Get today's date
+   * @param {String} timeZone - IANA time zone
+   * @returns {String} Date string (YYYY-MM-DD)
+   */
+  static today(timeZone = 'UTC') {
+    return this.formatDate(new Date(), timeZone);
+  }
+
+  /**
+   * Add a number of calendar days to a date string
+   * @param {String} dateString - Date (YYYY-MM-DD)
+   * @param {Number} days - Days to add, may be negative
+   * @returns {String} Date string (YYYY-MM-DD)
+   */
+  static addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+  }
+
   /**
    * Format date as YYYY-MM-DD
    * @param {Date} date - The date to format
+   * @param {String} timeZone - IANA time zone the date is seen in
    * @returns {String} Formatted date string
    */
-  static formatDate(date) {
-    return date.toISOString().split('T')[0];
+  static formatDate(date, timeZone = 'UTC') {
+    const { year, month, day } = this.getZonedParts(date, timeZone);
+    return `${year}-${month}-${day}`;
+  }
+
+  /**
+   * Format an instant as a local date and time with its UTC offset, e.g. 2025-03-30T09:00:00+02:00
+   * @param {Date} date - The instant to format
+   * @param {String} timeZone - IANA time zone
+   * @returns {String} Formatted date and time
+   */
+  static formatDateTime(date, timeZone = 'UTC') {
+    const { year, month, day, hour, minute, second } = this.getZonedParts(date, timeZone);
+    const offset = this.getTimezoneOffset(date, timeZone);
+    const sign = offset < 0 ? '-' : '+';
+    const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+    const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+    
+    return `${year}-${month}-${day}T${hour}:${minute}:${second}${sign}${hours}:${minutes}`;
+  }
+
+  /**
+   * Get the instant at which a wall clock time occurs on a date in a time zone.
+   * Times skipped by a DST change resolve to the same clock time in the new offset.
+   * @param {String} dateString - Date (YYYY-MM-DD)
+   * @param {Number} hours - Hours (0-23)
+   * @param {Number} minutes - Minutes (0-59)
+   * @param {String} timeZone - IANA time zone
+   * @returns {Date} The instant
+   */
+  static zonedTimeToDate(dateString, hours, minutes, timeZone = 'UTC') {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+    
+    // The offset at the wall clock time read as UTC is a first guess; check it at the result
+    const firstGuess = wallClock - this.getTimezoneOffset(new Date(wallClock), timeZone) * 60000;
+    const offset = this.getTimezoneOffset(new Date(firstGuess), timeZone);
+    
+    return new Date(wallClock - offset * 60000);
+  }
+
+  /**
+   * Get the UTC offset of a time zone at an instant
+   * @param {Date} date - The instant
+   * @param {String} timeZone - IANA time zone
+   * @returns {Number} Offset in minutes, positive east of UTC
+   */
+  static getTimezoneOffset(date, timeZone = 'UTC') {
+    const { year, month, day, hour, minute, second } = this.getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+    
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  }
+
+  /**
+   * Get the calendar and clock fields of an instant in a time zone, zero-padded
+   * @param {Date} date - The instant
+   * @param {String} timeZone - IANA time zone
+   * @returns {{year: string, month: string, day: string, hour: string, minute: string, second: string}} Fields
+   */
+  static getZonedParts(date, timeZone = 'UTC') {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date);
+    
+    return Object.fromEntries(
+      parts.filter(part => part.type !== 'literal').map(part => [part.type, part.value])
+    );
+  }
+
+  /**
+   * Check that a string names a time zone known to the runtime
+   * @param {String} timeZone - The time zone to check
+   * @returns {Boolean} True if valid, false otherwise
+   */
+  static isValidTimezone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
   }
 
   /**
@@ -53,6 +163,27 @@ class DateUtils {
     const date = new Date(dateString);
     return date instanceof Date && !isNaN(date);
   }
+
+  /**
+   * Parse a Harvest clock time such as "8:00am", "1:30 PM" or "13:30"
+   * @param {String} value - The clock time to parse
+   * @returns {{hours: number, minutes: number}|null} Parsed time, or null if empty or invalid
+   */
+  static parseClockTime(value) {
+    const match = /^(\d{1,2}):(\d{2})\s*([ap]m)?$/i.exec((value || '').trim());
+    if (!match) return null;
+    
+    let hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    const meridiem = match[3]?.toLowerCase();
+    
+    if (meridiem) {
+      if (hours < 1 || hours > 12) return null;
+      hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+    }
+    
+    return hours < 24 && minutes < 60 ? { hours, minutes } : null;
+  }
 }
 
 module.exports = DateUtils;
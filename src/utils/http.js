@@ -0,0 +1,166 @@
+const axios = require('axios');
+const logger = require('./logger');
+
+// HTTP statuses that signal a temporary problem on the server side
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// Network errors that usually clear up by themselves
+const RETRYABLE_CODES = new Set(['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK']);
+
+// Methods that can be sent again without doing their work twice
+const IDEMPOTENT_METHODS = new Set(['get', 'head', 'options', 'put', 'patch', 'delete']);
+
+// Network errors raised before a request reached the server, so even a POST can be sent again
+const UNSENT_CODES = new Set(['ECONNREFUSED', 'EAI_AGAIN']);
+
+// Backoff before the first retry, doubled for every further attempt
+const BASE_DELAY_MS = 500;
+
+// Longest computed backoff; Retry-After headers may ask for longer
+const MAX_DELAY_MS = 30000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Client-side sliding window limit on the number of requests sent
+ */
+class RateLimiter {
+  /**
+   * @param {Number} limit - Requests allowed per interval
+   * @param {Number} intervalMs - Length of the interval in milliseconds
+   */
+  constructor(limit, intervalMs) {
+    this.limit = limit;
+    this.intervalMs = intervalMs;
+    this.sent = [];
+  }
+
+  /**
+   * Wait until another request may be sent, then record it
+   * @returns {Promise<void>}
+   */
+  async acquire() {
+    for (;;) {
+      const now = Date.now();
+      this.sent = this.sent.filter(time => time > now - this.intervalMs);
+
+      if (this.sent.length < this.limit) {
+        this.sent.push(now);
+        return;
+      }
+
+      const wait = this.sent[0] + this.intervalMs - now;
+      logger.debug(`Rate limit of ${this.limit} requests per ${this.intervalMs / 1000}s reached, waiting ${wait}ms`);
+      await sleep(wait);
+    }
+  }
+}
+
+/**
+ * Builds the axios instances used by the API clients, with timeouts, client-side rate
+ * limiting and retries with exponential backoff for temporary failures. POST requests
+ * create records, so they are only sent again when the server cannot have acted on them.
+ */
+class HttpClient {
+  /**
+   * Create an axios instance
+   * @param {Object} options - Client options
+   * @param {String} options.baseURL - Base URL of the API
+   * @param {Object} options.headers - Headers sent with every request
+   * @param {Number} options.timeout - Request timeout in milliseconds
+   * @param {Number} options.retries - Maximum retries of a failed request
+   * @param {{limit: number, intervalMs: number}} options.rateLimit - Requests allowed per interval, if limited
+   * @returns {import('axios').AxiosInstance} Configured client
+   */
+  static create({ baseURL, headers, timeout, retries, rateLimit = null }) {
+    const client = axios.create({ baseURL, headers, timeout });
+    const limiter = rateLimit ? new RateLimiter(rateLimit.limit, rateLimit.intervalMs) : null;
+
+    if (limiter) {
+      client.interceptors.request.use(async (config) => {
+        await limiter.acquire();
+        return config;
+      });
+    }
+
+    client.interceptors.response.use(null, async (error) => {
+      const config = error.config;
+      error.retryable = this.isRetryable(error);
+
+      if (!config || !error.retryable) {
+        throw error;
+      }
+      if (!this.canResend(error)) {
+        logger.warn(`Not retrying ${config.method.toUpperCase()} ${config.url} (${error.response?.status || error.code}): the server may already have acted on it`);
+        throw error;
+      }
+
+      config.retryAttempt = (config.retryAttempt || 0) + 1;
+      if (config.retryAttempt > retries) {
+        logger.warn(`Giving up on ${config.method.toUpperCase()} ${config.url} after ${retries} retries`);
+        throw error;
+      }
+
+      const delay = this.getRetryDelay(error, config.retryAttempt);
+      logger.warn(`${config.method.toUpperCase()} ${config.url} failed (${error.response?.status || error.code}), retry ${config.retryAttempt} of ${retries} in ${delay}ms`);
+      await sleep(delay);
+
+      return client.request(config);
+    });
+
+    return client;
+  }
+
+  /**
+   * Tell temporary failures, worth retrying, apart from permanent ones such as validation
+   * errors, missing records or bad credentials
+   * @param {Error} error - Error thrown by axios
+   * @returns {Boolean} True if the request may succeed when sent again
+   */
+  static isRetryable(error) {
+    if (error.response) {
+      return RETRYABLE_STATUSES.has(error.response.status);
+    }
+    return RETRYABLE_CODES.has(error.code);
+  }
+
+  /**
+   * Tell whether a failed request can be sent again without risking its work being done
+   * twice, e.g. a timesheet created twice because the first POST timed out after Kimai saved it
+   * @param {Error} error - Error thrown by axios
+   * @returns {Boolean} True for idempotent methods, rate limited requests and requests that never reached the server
+   */
+  static canResend(error) {
+    const method = (error.config?.method || 'get').toLowerCase();
+
+    if (IDEMPOTENT_METHODS.has(method)) {
+      return true;
+    }
+    return error.response ? error.response.status === 429 : UNSENT_CODES.has(error.code);
+  }
+
+  /**
+   * Get how long to wait before retrying: the server's Retry-After when given, otherwise
+   * exponential backoff with full jitter
+   * @param {Error} error - Error thrown by axios
+   * @param {Number} attempt - Number of the retry, starting at 1
+   * @returns {Number} Delay in milliseconds
+   */
+  static getRetryDelay(error, attempt) {
+    const retryAfter = error.response?.headers?.['retry-after'];
+
+    if (retryAfter) {
+      // Either a number of seconds or an HTTP date
+      const seconds = Number(retryAfter);
+      const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+      if (!Number.isNaN(delay)) {
+        return Math.max(delay, 0);
+      }
+    }
+
+    const ceiling = Math.min(BASE_DELAY_MS * 2 ** (attempt - 1), MAX_DELAY_MS);
+    return Math.round(Math.random() * ceiling);
+  }
+}
+
+module.exports = HttpClient;
@@ -0,0 +1,106 @@
+/**
+ * Scores how well Harvest task names match Kimai activity names
+ */
+class TaskMatcher {
+  /**
+   * Normalize a name for comparison: lowercase, punctuation and extra whitespace removed
+   * @param {String} name - Name to normalize
+   * @returns {String} Normalized name
+   */
+  static normalize(name) {
+    return (name || '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  /**
+   * Split a name into its distinct normalized words
+   * @param {String} name - Name to split
+   * @returns {Set<String>} Set of words
+   */
+  static tokenize(name) {
+    return new Set(this.normalize(name).split(' ').filter(Boolean));
+  }
+
+  /**
+   * Levenshtein similarity of two strings, between 0 and 1
+   * @param {String} a - First string
+   * @param {String} b - Second string
+   * @returns {Number} Similarity
+   */
+  static editSimilarity(a, b) {
+    if (!a.length && !b.length) return 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+  }
+
+  /**
+   * Score the similarity of two names, between 0 and 1.
+   * Takes the best of an exact normalized match, word overlap, word containment
+   * (one name being the other plus a prefix or suffix) and edit distance.
+   * @param {String} a - First name
+   * @param {String} b - Second name
+   * @returns {Number} Confidence score
+   */
+  static similarity(a, b) {
+    const normalizedA = this.normalize(a);
+    const normalizedB = this.normalize(b);
+
+    if (!normalizedA || !normalizedB) return 0;
+    if (normalizedA === normalizedB) return 1;
+
+    const tokensA = this.tokenize(a);
+    const tokensB = this.tokenize(b);
+    const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+
+    const overlap = (2 * shared) / (tokensA.size + tokensB.size);
+    const shorter = Math.min(tokensA.size, tokensB.size);
+    const longer = Math.max(tokensA.size, tokensB.size);
+    const containment = (shared / shorter) * (0.7 + 0.25 * shorter / longer);
+    const edit = this.editSimilarity(normalizedA, normalizedB);
+
+    return Math.round(Math.max(overlap, containment, edit) * 100) / 100;
+  }
+
+  /**
+   * Score a Harvest task against a stored Kimai activity, with and without its parent title prefix
+   * @param {String} taskName - Harvest task name
+   * @param {Object} activity - Row from tasks_kimai
+   * @returns {Number} Confidence score
+   */
+  static scoreActivity(taskName, activity) {
+    const prefix = activity.parent_title ? `${activity.parent_title}: ` : '';
+    const activityName = prefix && activity.task_name.startsWith(prefix)
+      ? activity.task_name.slice(prefix.length)
+      : activity.task_name;
+
+    return Math.max(this.similarity(taskName, activity.task_name), this.similarity(taskName, activityName));
+  }
+
+  /**
+   * Rank Kimai activities as candidates for a Harvest task, best first
+   * @param {String} taskName - Harvest task name
+   * @param {Array<Object>} activities - Rows from tasks_kimai
+   * @returns {Array<{activity: Object, score: number}>} Candidates with a score above zero
+   */
+  static rankActivities(taskName, activities) {
+    return activities
+      .map(activity => ({ activity, score: this.scoreActivity(taskName, activity) }))
+      .filter(candidate => candidate.score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = TaskMatcher;
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Helpers for presenting rows of data on the terminal and in files
+ */
+class Output {
+  /**
+   * Format rows as a plain text table
+   * @param {Array<Object>} rows - Rows to format
+   * @param {Array<String>} columns - Keys of the columns to show, in order
+   * @param {Number} maxWidth - Maximum width of a single cell
+   * @returns {String} Formatted table
+   */
+  static formatTable(rows, columns, maxWidth = 50) {
+    const cell = (value) => {
+      const text = value === null || value === undefined ? '' : String(value).replace(/\s+/g, ' ');
+      return text.length > maxWidth ? `${text.slice(0, maxWidth - 3)}...` : text;
+    };
+
+    const widths = columns.map(column =>
+      Math.max(column.length, ...rows.map(row => cell(row[column]).length))
+    );
+    const line = (values) => values.map((value, i) => value.padEnd(widths[i])).join(' | ').trimEnd();
+
+    return [
+      line(columns),
+      widths.map(width => '-'.repeat(width)).join('-+-'),
+      ...rows.map(row => line(columns.map(column => cell(row[column]))))
+    ].join('\n');
+  }
+
+  /**
+   * Serialize rows as CSV with a header line
+   * @param {Array<Object>} rows - Rows to serialize
+   * @param {Array<String>} columns - Keys of the columns to write, in order
+   * @returns {String} CSV text
+   */
+  static toCsv(rows, columns) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+      .map(values => values.map(escape).join(','))
+      .join('\n') + '\n';
+  }
+
+  /**
+   * Write rows to a file, as JSON for .json files and CSV otherwise
+   * @param {String} filePath - Destination file
+   * @param {Array<Object>} rows - Rows to write
+   * @param {Array<String>} columns - Keys of the columns to write, in order
+   */
+  static writeFile(filePath, rows, columns) {
+    const content = path.extname(filePath).toLowerCase() === '.json'
+      ? JSON.stringify(rows.map(row => Object.fromEntries(columns.map(column => [column, row[column] ?? null]))), null, 2) + '\n'
+      : this.toCsv(rows, columns);
+
+    fs.writeFileSync(filePath, content);
+  }
+}
+
+module.exports = Output;
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { scratch, useNewDatabase } = require('./helpers');
+const Storage = require('../src/db/storage');
+
+const CLI = path.join(__dirname, '../bin/harvest-kimai.js');
+
+/**
+ * Run harvest-kimai in the scratch directory, with the test's environment
+ * @param {Array<String>} args - Command line arguments
+ * @returns {Object} Result of spawnSync
+ */
+function runCli(args) {
+  return spawnSync(process.execPath, [CLI, ...args], { cwd: scratch, env: process.env, encoding: 'utf8', timeout: 60000 });
+}
+
+test('sync extracts and imports on a new database in one go', async () => {
+  useNewDatabase();
+  fs.writeFileSync(path.join(scratch, 'sync.csv'), 'Date,Client,Project,Task,Notes,Hours\n2024-03-04,Acme,Website,Development,From the export,1.5\n');
+
+  // Unmapped entries are skipped without calling Kimai
+  const result = runCli(['sync', '--csv', 'sync.csv']);
+
+  assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+  const storage = new Storage();
+  await storage.ready;
+  const runs = await storage.getRuns();
+  assert.deepStrictEqual(runs.map(run => [run.kind, run.status]).sort(), [['extract', 'succeeded'], ['import', 'succeeded']]);
+  assert.deepStrictEqual((await storage.getStateCounts())['skipped-unmapped'], 1);
+  storage.close();
+});
@@ -0,0 +1,70 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { scratch } = require('./helpers');
+const Config = require('../src/utils/config');
+const logger = require('../src/utils/logger');
+
+const DEFAULT_DATABASE = path.resolve(__dirname, '../data/timeEntries.db');
+
+/**
+ * Write a config file with the given profiles to the scratch directory
+ * @param {Object} profiles - Profiles by name
+ * @returns {String} Config file path
+ */
+function writeConfig(profiles) {
+  const file = path.join(scratch, 'profiles', 'harvest-kimai.json');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ profiles }));
+  return file;
+}
+
+/**
+ * Get the database path, collecting the warnings logged meanwhile
+ * @returns {{databasePath: String, warnings: Array<String>}} Database path and warnings
+ */
+function getDatabasePath() {
+  const warnings = [];
+  const warn = logger.warn;
+  logger.warn = (message) => warnings.push(message);
+  try {
+    return { databasePath: Config.getDatabasePath(), warnings };
+  } finally {
+    logger.warn = warn;
+  }
+}
+
+beforeEach(() => {
+  delete process.env.DATABASE_PATH;
+});
+
+test('without a config file the default database is used', () => {
+  Config.load();
+
+  assert.deepStrictEqual(getDatabasePath(), { databasePath: DEFAULT_DATABASE, warnings: [] });
+});
+
+test('a profile without a database keeps using the default database', () => {
+  Config.load({ file: writeConfig({ agency: {} }) });
+
+  assert.deepStrictEqual(getDatabasePath(), { databasePath: DEFAULT_DATABASE, warnings: [] });
+});
+
+test('profiles sharing the default database are warned about', () => {
+  Config.load({ file: writeConfig({ agency: {}, freelance: { database: 'freelance.db' } }), profile: 'agency' });
+
+  const { databasePath, warnings } = getDatabasePath();
+
+  assert.strictEqual(databasePath, DEFAULT_DATABASE);
+  assert.match(warnings[0], /Profile "agency" sets no database/);
+});
+
+test('a profile database is relative to the config file, DATABASE_PATH to the working directory', () => {
+  Config.load({ file: writeConfig({ agency: {}, freelance: { database: 'freelance.db' } }), profile: 'freelance' });
+
+  assert.deepStrictEqual(getDatabasePath(), { databasePath: path.join(scratch, 'profiles', 'freelance.db'), warnings: [] });
+
+  process.env.DATABASE_PATH = 'override.db';
+  assert.strictEqual(getDatabasePath().databasePath, path.join(process.cwd(), 'override.db'));
+});
@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useNewDatabase, harvestEntry, getEntry } = require('./helpers');
+const KimaiImporter = require('../src/kimai/import');
+
+/**
+ * Build an offline importer on a new database holding the given entries
+ * @param {Array<Object>} entries - Time entries from Harvest
+ * @returns {Promise<KimaiImporter>} Importer
+ */
+async function createImporter(entries) {
+  useNewDatabase();
+  const importer = new KimaiImporter({ offline: true });
+  await importer.storage.ready;
+  await importer.storage.storeHarvestEntries(entries);
+  return importer;
+}
+
+/**
+ * Export the pending entries, keeping the timesheets written
+ * @param {KimaiImporter} importer - Importer to export with
+ * @param {Object} options - Export options
+ * @returns {Promise<Object>} Export summary with the written timesheets
+ */
+async function exportEntries(importer, options = {}) {
+  let written = null;
+  const summary = await importer.exportTimeEntries({ write: (timesheets) => { written = timesheets; }, ...options });
+  return { ...summary, written };
+}
+
+test('exported timesheets carry the Harvest user and billable status', async () => {
+  const importer = await createImporter([
+    harvestEntry(1),
+    harvestEntry(2, { user: { id: 8, name: 'Grace Hopper' }, billable: false })
+  ]);
+
+  const { exported, conflicts, written } = await exportEntries(importer);
+
+  assert.strictEqual(exported, 2);
+  assert.strictEqual(conflicts, 0);
+  assert.deepStrictEqual(written.map(timesheet => [timesheet.user_name, timesheet.billable, timesheet.from]), [
+    ['Ada Lovelace', true, '09:00'],
+    ['Grace Hopper', false, '09:00']
+  ]);
+  importer.storage.close();
+});
+
+test('entries of the same user do not overlap in the file', async () => {
+  const importer = await createImporter([harvestEntry(1), harvestEntry(2)]);
+
+  const { written } = await exportEntries(importer);
+
+  assert.deepStrictEqual(written.map(timesheet => [timesheet.from, timesheet.to]), [['09:00', '10:00'], ['10:00', '11:00']]);
+  importer.storage.close();
+});
+
+test('marked entries are left out of the next export', async () => {
+  const importer = await createImporter([harvestEntry(1)]);
+  await exportEntries(importer, { markExported: true });
+  await importer.storage.storeHarvestEntries([harvestEntry(1), harvestEntry(2)]);
+
+  const { written } = await exportEntries(importer);
+
+  assert.deepStrictEqual(written.map(timesheet => timesheet.harvest_id), ['2']);
+  importer.storage.close();
+});
+
+test('entries changed after their export are reported once instead of exported again', async () => {
+  const importer = await createImporter([harvestEntry(1)]);
+  await exportEntries(importer, { markExported: true });
+  await importer.storage.storeHarvestEntries([harvestEntry(1, { hours: 2 })]);
+
+  const first = await exportEntries(importer, { markExported: true });
+  const second = await exportEntries(importer, { markExported: true });
+
+  assert.strictEqual(first.exported, 0);
+  assert.strictEqual(first.changed, 1);
+  assert.deepStrictEqual(first.entries.map(row => [row.harvest_id, row.action]), [['1', 'changed']]);
+  assert.deepStrictEqual(first.written, []);
+  assert.strictEqual(second.changed, 0);
+  assert.strictEqual((await getEntry(importer.storage, '1')).status, 'exported');
+  importer.storage.close();
+});
+
+test('clearing the exported state exports the entries again', async () => {
+  const importer = await createImporter([harvestEntry(1)]);
+  await exportEntries(importer, { markExported: true });
+
+  const { exported, changed } = await exportEntries(importer, { clearState: 'exported' });
+
+  assert.strictEqual(exported, 1);
+  assert.strictEqual(changed, 0);
+  importer.storage.close();
+});
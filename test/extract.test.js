@@ -0,0 +1,135 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { scratch, useNewDatabase, harvestEntry } = require('./helpers');
+const HarvestExtractor = require('../src/harvest/extract');
+
+const ACCOUNT_ID = '42';
+
+/**
+ * Build an extractor on a new database whose Harvest API returns the given entries
+ * @param {Array<Object>} entries - Time entries the API returns
+ * @returns {Promise<{extractor: HarvestExtractor, requests: Array<Object>}>} Extractor and the entry requests it sent
+ */
+async function createExtractor(entries = []) {
+  useNewDatabase();
+  const extractor = new HarvestExtractor({ offline: true });
+  const requests = [];
+
+  await extractor.storage.ready;
+  extractor.api = {
+    accountId: ACCOUNT_ID,
+    getTimeEntries: async (from, to, options = {}) => {
+      requests.push({ from, to, ...options });
+      return entries;
+    }
+  };
+  return { extractor, requests };
+}
+
+test('a range extraction leaves the sync cursor alone', async () => {
+  const { extractor } = await createExtractor([harvestEntry(1)]);
+
+  await extractor.extractTimeEntries('2024-03-01', '2024-03-31');
+
+  assert.strictEqual(await extractor.storage.getLastSyncedAt(ACCOUNT_ID), null);
+  extractor.storage.close();
+});
+
+test('a backfill starts the sync cursor', async () => {
+  const { extractor } = await createExtractor([harvestEntry(1)]);
+  const before = new Date().toISOString();
+
+  await extractor.extractTimeEntries('2024-03-01', '2024-03-31', { backfill: true });
+
+  assert.ok(await extractor.storage.getLastSyncedAt(ACCOUNT_ID) >= before);
+  extractor.storage.close();
+});
+
+test('incremental extraction needs a backfill first', async () => {
+  const { extractor } = await createExtractor();
+
+  await assert.rejects(extractor.extractUpdatedEntries(null, null), /--backfill/);
+  extractor.storage.close();
+});
+
+test('an unrestricted incremental run moves the cursor forward', async () => {
+  const { extractor, requests } = await createExtractor([harvestEntry(1)]);
+  await extractor.storage.setLastSyncedAt(ACCOUNT_ID, '2024-03-01T12:00:00.000Z');
+
+  await extractor.extractUpdatedEntries(null, null);
+
+  assert.strictEqual(requests[0].updatedSince, '2024-03-01T11:59:00.000Z');
+  assert.ok(await extractor.storage.getLastSyncedAt(ACCOUNT_ID) > '2024-03-01T12:00:00.000Z');
+  extractor.storage.close();
+});
+
+test('an incremental run limited to a range keeps the cursor', async () => {
+  const { extractor } = await createExtractor([harvestEntry(1)]);
+  await extractor.storage.setLastSyncedAt(ACCOUNT_ID, '2024-03-01T12:00:00.000Z');
+
+  await extractor.extractUpdatedEntries('2024-03-01', '2024-03-31');
+
+  assert.strictEqual(await extractor.storage.getLastSyncedAt(ACCOUNT_ID), '2024-03-01T12:00:00.000Z');
+  extractor.storage.close();
+});
+
+test('entries Harvest no longer returns are marked deleted, but not those from CSV exports', async () => {
+  const { extractor } = await createExtractor([harvestEntry(1), harvestEntry(2)]);
+  const csvFile = path.join(scratch, 'march.csv');
+  fs.writeFileSync(csvFile, 'Date,Client,Project,Task,Notes,Hours\n2024-03-04,Acme,Website,Development,From the export,1.5\n');
+
+  await extractor.extractTimeEntries('2024-03-01', '2024-03-31');
+  await extractor.extractCsvEntries(csvFile);
+  extractor.api.getTimeEntries = async () => [harvestEntry(1)];
+  const result = await extractor.extractTimeEntries('2024-03-01', '2024-03-31');
+
+  const states = await extractor.storage.queryAll(`SELECT harvest_id, status FROM time_entries ORDER BY harvest_id`);
+  assert.strictEqual(result.deleted, 1);
+  assert.deepStrictEqual(states.map(({ harvest_id: id, status }) => [id.startsWith('csv-') ? 'csv' : id, status]), [
+    ['1', 'pending'],
+    ['2', 'deleted'],
+    ['csv', 'pending']
+  ]);
+  extractor.storage.close();
+});
+
+test('reading the same CSV export again leaves its entries unchanged', async () => {
+  const { extractor } = await createExtractor();
+  const csvFile = path.join(scratch, 'twice.csv');
+  fs.writeFileSync(csvFile, [
+    'Date,Client,Project,Task,Notes,Hours,First Name,Last Name',
+    '2024-03-04,Acme,Website,Development,Same,1:30,Ada,Lovelace',
+    '2024-03-04,Acme,Website,Development,Same,1:30,Ada,Lovelace'
+  ].join('\n'));
+
+  const first = await extractor.extractCsvEntries(csvFile);
+  const second = await extractor.extractCsvEntries(csvFile);
+
+  assert.deepStrictEqual(first, { retrieved: 2, inserted: 2, updated: 0, unchanged: 0 });
+  assert.deepStrictEqual(second, { retrieved: 2, inserted: 0, updated: 0, unchanged: 2 });
+  const [entry] = await extractor.storage.getEntries('2024-03-04', '2024-03-04');
+  assert.strictEqual(entry.hours, 1.5);
+  assert.strictEqual(entry.harvest_user_name, 'Ada Lovelace');
+  extractor.storage.close();
+});
+
+test('client/projects matching several Kimai projects equally well are left unmapped', async () => {
+  const { extractor } = await createExtractor();
+  await extractor.storage.storeHarvestEntries([harvestEntry(1), harvestEntry(2, { project: { name: 'Shop' } })]);
+  extractor.kimaiApi = {
+    getProjects: async () => [
+      { id: 5, name: 'Website', parentTitle: 'Acme', customer: 2 },
+      { id: 6, name: 'Website', parentTitle: 'Acme', customer: 3 },
+      { id: 7, name: 'Shop', parentTitle: 'Acme', customer: 2 }
+    ]
+  };
+
+  const matched = await extractor.matchProjects();
+
+  assert.strictEqual(matched, 1);
+  assert.strictEqual(await extractor.storage.getProjectMapping('Acme', 'Website'), undefined);
+  assert.strictEqual((await extractor.storage.getProjectMapping('Acme', 'Shop')).kimai_project_id, '7');
+  extractor.storage.close();
+});
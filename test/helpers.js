@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each test file runs in its own process and scratch directory, away from the user's
+// config file, .env, settings in the environment and database
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'harvest-kimai-test-'));
+process.chdir(scratch);
+process.on('exit', () => fs.rmSync(scratch, { recursive: true, force: true }));
+
+for (const name of Object.keys(process.env)) {
+  if (/^(HARVEST_|KIMAI_|MATCH_|HTTP_|WORKDAY_|RATE_POLICY$|DATABASE_PATH$)/.test(name)) {
+    delete process.env[name];
+  }
+}
+process.env.TIMEZONE = 'UTC';
+process.env.KIMAI_URL = 'http://kimai.invalid';
+process.env.KIMAI_API_USERNAME = 'test';
+process.env.KIMAI_API_TOKEN = 'test';
+
+const logger = require('../src/utils/logger');
+logger.silent = true;
+
+const Storage = require('../src/db/storage');
+
+let databases = 0;
+
+/**
+ * Point DATABASE_PATH at a new, empty database, for the next storage opened
+ * @returns {String} Database path
+ */
+function useNewDatabase() {
+  process.env.DATABASE_PATH = path.join(scratch, `test-${++databases}.db`);
+  return process.env.DATABASE_PATH;
+}
+
+/**
+ * Open a storage on a new, empty database and wait until it is migrated
+ * @param {Object} options - Storage options
+ * @returns {Promise<Storage>} Ready storage
+ */
+async function openStorage(options) {
+  useNewDatabase();
+  const storage = new Storage(options);
+  await storage.ready;
+  return storage;
+}
+
+/**
+ * Build a time entry as returned by the Harvest API
+ * @param {Number} id - Harvest entry ID
+ * @param {Object} fields - Fields to override
+ * @returns {Object} Time entry
+ */
+function harvestEntry(id, fields = {}) {
+  return {
+    id,
+    spent_date: '2024-03-04',
+    client: { name: 'Acme' },
+    project: { name: 'Website' },
+    task: { name: 'Development' },
+    notes: `Entry ${id}`,
+    hours: 1,
+    started_time: null,
+    ended_time: null,
+    created_at: '2024-03-05T08:00:00Z',
+    user: { id: 7, name: 'Ada Lovelace' },
+    billable: true,
+    billable_rate: 100,
+    cost_rate: 50,
+    external_reference: null,
+    ...fields
+  };
+}
+
+/**
+ * Get the stored row of a time entry
+ * @param {Storage} storage - Storage to read from
+ * @param {String} harvestId - Harvest entry ID
+ * @returns {Promise<Object|undefined>} Row from time_entries
+ */
+async function getEntry(storage, harvestId) {
+  const [row] = await storage.queryAll(`SELECT * FROM time_entries WHERE harvest_id = ?`, [harvestId]);
+  return row;
+}
+
+module.exports = { scratch, useNewDatabase, openStorage, harvestEntry, getEntry };
@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+require('./helpers');
+const HttpClient = require('../src/utils/http');
+
+// Requests the test server received, by method and path
+const received = [];
+
+// How the test server answers each path: a list of responses, the last one repeated
+const behaviors = {
+  '/flaky': [{ status: 503 }, { status: 503 }, { status: 200 }],
+  '/broken': [{ status: 500 }],
+  '/limited': [{ status: 429 }, { status: 201 }],
+  '/slow': [{ status: 201, delayMs: 300 }],
+  '/invalid': [{ status: 400 }]
+};
+
+let server;
+let baseURL;
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    const responses = behaviors[request.url];
+    const count = received.filter(({ url }) => url === request.url).length;
+    const { status, delayMs = 0 } = responses[Math.min(count, responses.length - 1)];
+
+    received.push({ method: request.method, url: request.url });
+    request.resume();
+    setTimeout(() => {
+      response.writeHead(status, { 'Content-Type': 'application/json', 'Retry-After': '0' });
+      response.end('{}');
+    }, delayMs);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Count the requests the test server received
+ * @param {String} method - HTTP method
+ * @param {String} url - Path
+ * @returns {Number} Number of requests
+ */
+function count(method, url) {
+  return received.filter(request => request.method === method && request.url === url).length;
+}
+
+const create = (options = {}) => HttpClient.create({ baseURL, timeout: 100, retries: 2, ...options });
+
+test('temporary server errors of GET requests are retried', async () => {
+  const response = await create().get('/flaky');
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(count('GET', '/flaky'), 3);
+});
+
+test('retries stop after the configured number', async () => {
+  await assert.rejects(create().put('/broken', {}), error => error.response.status === 500 && error.retryable);
+  assert.strictEqual(count('PUT', '/broken'), 3);
+});
+
+test('a POST that timed out is not sent again', async () => {
+  await assert.rejects(create().post('/slow', {}), error => error.code === 'ECONNABORTED' && error.retryable);
+  await new Promise(resolve => setTimeout(resolve, 400));
+
+  assert.strictEqual(count('POST', '/slow'), 1);
+});
+
+test('a POST that failed on the server is not sent again', async () => {
+  await assert.rejects(create().post('/broken', {}), error => error.response.status === 500);
+  assert.strictEqual(count('POST', '/broken'), 1);
+});
+
+test('a rate limited POST is sent again', async () => {
+  const response = await create().post('/limited', {});
+
+  assert.strictEqual(response.status, 201);
+  assert.strictEqual(count('POST', '/limited'), 2);
+});
+
+test('permanent errors fail right away', async () => {
+  await assert.rejects(create().get('/invalid'), error => error.response.status === 400 && !error.retryable);
+  assert.strictEqual(count('GET', '/invalid'), 1);
+});
+
+test('a POST is only resent when it cannot have reached the server', () => {
+  const post = { method: 'post' };
+
+  assert.strictEqual(HttpClient.canResend({ config: post, code: 'ECONNREFUSED' }), true);
+  assert.strictEqual(HttpClient.canResend({ config: post, code: 'ECONNRESET' }), false);
+  assert.strictEqual(HttpClient.canResend({ config: post, code: 'ECONNABORTED' }), false);
+  assert.strictEqual(HttpClient.canResend({ config: { method: 'delete' }, code: 'ECONNRESET' }), true);
+});
+
+test('Retry-After is honored, otherwise the backoff grows with each attempt', () => {
+  assert.strictEqual(HttpClient.getRetryDelay({ response: { headers: { 'retry-after': '3' } } }, 1), 3000);
+
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    const delay = HttpClient.getRetryDelay({}, attempt);
+    assert.ok(delay >= 0 && delay <= 500 * 2 ** (attempt - 1));
+  }
+});
@@ -0,0 +1,213 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useNewDatabase, harvestEntry, getEntry } = require('./helpers');
+const KimaiImporter = require('../src/kimai/import');
+const Storage = require('../src/db/storage');
+
+const { EntryState } = Storage;
+
+/**
+ * Kimai API double that keeps timesheets in memory and records every call
+ * @param {Array<Object>} timesheets - Timesheets already in Kimai
+ * @returns {Object} Fake API
+ */
+function fakeApi(timesheets = []) {
+  let nextId = 100;
+  const calls = { created: [], updated: [], deleted: [] };
+
+  return {
+    calls,
+    timesheets,
+    getTimesheets: async () => [...timesheets],
+    createTimesheet: async (payload) => {
+      const created = { id: nextId++, ...payload };
+      calls.created.push(created);
+      return created;
+    },
+    updateTimesheet: async (id, payload) => {
+      calls.updated.push({ id: id.toString(), ...payload });
+      return { id, ...payload };
+    },
+    deleteTimesheet: async (id) => {
+      calls.deleted.push(id.toString());
+    },
+    updateTimesheetMeta: async () => {}
+  };
+}
+
+/**
+ * Build an importer on a new database holding the given entries, their task mapped to
+ * Kimai project 20 and activity 30, that talks to a fake Kimai API
+ * @param {Array<Object>} entries - Time entries from Harvest
+ * @param {Array<Object>} timesheets - Timesheets already in Kimai
+ * @returns {Promise<{importer: KimaiImporter, api: Object}>} Importer and its fake API
+ */
+async function createImporter(entries, timesheets = []) {
+  useNewDatabase();
+  const importer = new KimaiImporter();
+  const api = fakeApi(timesheets);
+
+  importer.api = api;
+  await importer.storage.ready;
+  await importer.storage.storeHarvestEntries(entries);
+  await importer.storage.setTaskMapping('Development', '20', '30');
+  return { importer, api };
+}
+
+/**
+ * Build an error as thrown by the HTTP client for a Kimai response
+ * @param {Number} status - HTTP status
+ * @param {Boolean} retryable - Whether the client considers the error temporary
+ * @returns {Error} Request error
+ */
+function responseError(status, retryable = false) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, data: { message: 'Validation Failed' } },
+    retryable
+  });
+}
+
+test('a dry run plans the timesheets without sending them or touching the database', async () => {
+  const { importer, api } = await createImporter([harvestEntry(1), harvestEntry(2)]);
+
+  const summary = await importer.importTimeEntries({ dryRun: true });
+
+  assert.strictEqual(summary.runId, null);
+  assert.deepStrictEqual(summary.entries.map(row => [row.harvest_id, row.action, row.begin, row.end]), [
+    ['1', 'create', '2024-03-04T09:00:00+00:00', '2024-03-04T10:00:00+00:00'],
+    ['2', 'create', '2024-03-04T10:00:00+00:00', '2024-03-04T11:00:00+00:00']
+  ]);
+  assert.deepStrictEqual(api.calls, { created: [], updated: [], deleted: [] });
+  assert.strictEqual((await getEntry(importer.storage, '1')).status, EntryState.PENDING);
+  assert.deepStrictEqual(await importer.storage.getRuns(), []);
+  importer.storage.close();
+});
+
+test('pending entries are created in Kimai with their marker and marked imported', async () => {
+  const { importer, api } = await createImporter([harvestEntry(1)]);
+
+  const summary = await importer.importTimeEntries();
+
+  assert.strictEqual(summary.imported, 1);
+  const [created] = api.calls.created;
+  assert.strictEqual(created.project, 20);
+  assert.strictEqual(created.activity, 30);
+  assert.strictEqual(created.description, 'Entry 1');
+  assert.strictEqual(created.tags, 'harvest:1');
+  const entry = await getEntry(importer.storage, '1');
+  assert.strictEqual(entry.status, EntryState.IMPORTED);
+  assert.strictEqual(entry.kimai_id, created.id.toString());
+  importer.storage.close();
+});
+
+test('new timesheets fit around those already in Kimai', async () => {
+  const { importer, api } = await createImporter([harvestEntry(1)], [
+    { id: 5, begin: '2024-03-04T09:00:00+00:00', end: '2024-03-04T10:30:00+00:00', tags: [] }
+  ]);
+
+  await importer.importTimeEntries();
+
+  assert.strictEqual(api.calls.created[0].begin, '2024-03-04T10:30:00+00:00');
+  importer.storage.close();
+});
+
+test('entries changed in Harvest after their import update their timesheet', async () => {
+  const { importer, api } = await createImporter([harvestEntry(1)]);
+  await importer.importTimeEntries();
+  await importer.storage.storeHarvestEntries([harvestEntry(1, { hours: 2 })]);
+
+  const summary = await importer.importTimeEntries();
+
+  assert.strictEqual(summary.imported, 0);
+  assert.strictEqual(summary.updated, 1);
+  assert.strictEqual(api.calls.created.length, 1);
+  assert.strictEqual(api.calls.updated[0].id, api.calls.created[0].id.toString());
+  assert.strictEqual(api.calls.updated[0].end, '2024-03-04T11:00:00+00:00');
+  assert.strictEqual((await getEntry(importer.storage, '1')).status, EntryState.IMPORTED);
+  importer.storage.close();
+});
+
+test('timesheets carrying an entry\'s marker are updated instead of duplicated', async () => {
+  const { importer, api } = await createImporter([harvestEntry(1)], [
+    { id: 55, begin: '2024-03-04T09:00:00+00:00', end: '2024-03-04T10:00:00+00:00', tags: ['harvest:1'] }
+  ]);
+
+  const summary = await importer.importTimeEntries();
+
+  assert.strictEqual(summary.updated, 1);
+  assert.deepStrictEqual(api.calls.created, []);
+  assert.strictEqual(api.calls.updated[0].id, '55');
+  // The marked timesheet is the entry's own and does not block its time
+  assert.strictEqual(api.calls.updated[0].begin, '2024-03-04T09:00:00+00:00');
+  assert.strictEqual((await getEntry(importer.storage, '1')).kimai_id, '55');
+  importer.storage.close();
+});
+
+test('entries without a mapping are skipped until they get one', async () => {
+  const { importer, api } = await createImporter([harvestEntry(1, { task: { name: 'Design' } })]);
+
+  const summary = await importer.importTimeEntries();
+
+  assert.strictEqual(summary.skipped, 1);
+  assert.deepStrictEqual(api.calls.created, []);
+  assert.strictEqual((await getEntry(importer.storage, '1')).status, EntryState.SKIPPED_UNMAPPED);
+
+  await importer.storage.setTaskMapping('Design', '20', '31');
+  assert.strictEqual((await importer.importTimeEntries()).imported, 1);
+  importer.storage.close();
+});
+
+test('failures rejected by Kimai are permanent, temporary ones are retried', async () => {
+  const { importer, api } = await createImporter([harvestEntry(1), harvestEntry(2)]);
+  api.createTimesheet = async (payload) => {
+    throw payload.description === 'Entry 1' ? responseError(400) : Object.assign(new Error('timeout of 100ms exceeded'), { retryable: true });
+  };
+
+  const summary = await importer.importTimeEntries();
+
+  assert.strictEqual(summary.failed, 2);
+  const rejected = await getEntry(importer.storage, '1');
+  assert.strictEqual(rejected.status, EntryState.FAILED_PERMANENT);
+  assert.strictEqual(rejected.last_error, 'Request failed with status code 400: Validation Failed');
+  assert.strictEqual((await getEntry(importer.storage, '2')).status, EntryState.FAILED_RETRYABLE);
+  assert.strictEqual((await importer.storage.getRuns())[0].status, 'partial');
+  importer.storage.close();
+});
+
+test('timesheets of entries deleted in Harvest are reported, or deleted when asked', async () => {
+  const { importer, api } = await createImporter([harvestEntry(1)]);
+  await importer.importTimeEntries();
+  await importer.storage.markDeletedEntries('2024-03-04', '2024-03-04', ['0']);
+
+  const reported = await importer.importTimeEntries();
+  assert.strictEqual(reported.orphaned, 1);
+  assert.deepStrictEqual(api.calls.deleted, []);
+
+  const deleted = await importer.importTimeEntries({ onDeleted: 'delete' });
+  assert.strictEqual(deleted.deleted, 1);
+  assert.deepStrictEqual(api.calls.deleted, [api.calls.created[0].id.toString()]);
+  const entry = await getEntry(importer.storage, '1');
+  assert.strictEqual(entry.status, EntryState.DELETED);
+  assert.strictEqual(entry.kimai_id, null);
+  importer.storage.close();
+});
+
+test('only failed imports count as attempts', async () => {
+  const { importer, api } = await createImporter([harvestEntry(1), harvestEntry(2)]);
+  const createTimesheet = api.createTimesheet;
+  api.createTimesheet = async (payload) => {
+    if (payload.description === 'Entry 1') {
+      throw Object.assign(new Error('timeout of 100ms exceeded'), { retryable: true });
+    }
+    return createTimesheet(payload);
+  };
+  await importer.importTimeEntries();
+  api.createTimesheet = createTimesheet;
+
+  await importer.importTimeEntries();
+
+  assert.strictEqual((await getEntry(importer.storage, '1')).status, EntryState.IMPORTED);
+  assert.strictEqual((await getEntry(importer.storage, '1')).attempts, 1);
+  assert.strictEqual((await getEntry(importer.storage, '2')).attempts, 0);
+  importer.storage.close();
+});
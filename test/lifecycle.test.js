@@ -0,0 +1,132 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { openStorage, harvestEntry, getEntry } = require('./helpers');
+const Storage = require('../src/db/storage');
+
+const { EntryState } = Storage;
+
+/**
+ * Get the Harvest IDs of the entries an import would pick up
+ * @param {Storage} storage - Storage to read from
+ * @param {Object} options - Selection options of getAllPendingEntries
+ * @returns {Promise<Array<String>>} Harvest IDs, sorted
+ */
+async function pendingIds(storage, options) {
+  return (await storage.getAllPendingEntries(options)).map(entry => entry.harvest_id).sort();
+}
+
+test('new entries are stored as pending and picked up by the import', async () => {
+  const storage = await openStorage();
+
+  const result = await storage.storeHarvestEntries([harvestEntry(1), harvestEntry(2)]);
+
+  assert.deepStrictEqual(result, { inserted: 2, updated: 0, unchanged: 0 });
+  assert.strictEqual((await getEntry(storage, '1')).status, EntryState.PENDING);
+  assert.deepStrictEqual(await pendingIds(storage), ['1', '2']);
+  storage.close();
+});
+
+test('imported entries stay imported until they change in Harvest', async () => {
+  const storage = await openStorage();
+  await storage.storeHarvestEntries([harvestEntry(1)]);
+  await storage.markAsImported('1', 10);
+
+  assert.deepStrictEqual(await storage.storeHarvestEntries([harvestEntry(1)]), { inserted: 0, updated: 0, unchanged: 1 });
+  assert.strictEqual((await getEntry(storage, '1')).status, EntryState.IMPORTED);
+  assert.deepStrictEqual(await pendingIds(storage), []);
+
+  assert.deepStrictEqual(await storage.storeHarvestEntries([harvestEntry(1, { hours: 2 })]), { inserted: 0, updated: 1, unchanged: 0 });
+  const entry = await getEntry(storage, '1');
+  assert.strictEqual(entry.status, EntryState.PENDING);
+  assert.strictEqual(entry.kimai_id, '10');
+  assert.strictEqual(entry.attempts, 0);
+  assert.strictEqual(entry.hours, 2);
+  storage.close();
+});
+
+test('a reference stored for the first time does not count as a change', async () => {
+  const storage = await openStorage();
+  const reference = { id: 1234, permalink: 'https://github.com/acme/website/issues/1234' };
+  await storage.storeHarvestEntries([harvestEntry(1)]);
+  await storage.markAsImported('1', 10);
+
+  assert.deepStrictEqual(await storage.storeHarvestEntries([harvestEntry(1, { external_reference: reference })]), { inserted: 0, updated: 0, unchanged: 1 });
+  const entry = await getEntry(storage, '1');
+  assert.strictEqual(entry.status, EntryState.IMPORTED);
+  assert.strictEqual(entry.external_reference, '1234');
+  assert.strictEqual(entry.external_reference_permalink, reference.permalink);
+
+  const moved = { id: 99, permalink: 'https://github.com/acme/website/issues/99' };
+  assert.deepStrictEqual(await storage.storeHarvestEntries([harvestEntry(1, { external_reference: moved })]), { inserted: 0, updated: 1, unchanged: 0 });
+  assert.strictEqual((await getEntry(storage, '1')).status, EntryState.PENDING);
+  storage.close();
+});
+
+test('failed entries are retried until they run out of attempts', async () => {
+  const storage = await openStorage();
+  await storage.storeHarvestEntries([harvestEntry(1), harvestEntry(2), harvestEntry(3)]);
+
+  await storage.markEntryFailed('1', 'Timeout');
+  await storage.markEntryFailed('2', 'Invalid activity', { permanent: true });
+
+  assert.strictEqual((await getEntry(storage, '1')).status, EntryState.FAILED_RETRYABLE);
+  assert.strictEqual((await getEntry(storage, '1')).last_error, 'Timeout');
+  assert.strictEqual((await getEntry(storage, '2')).status, EntryState.FAILED_PERMANENT);
+  assert.deepStrictEqual(await pendingIds(storage), ['1', '3']);
+  assert.deepStrictEqual(await pendingIds(storage, { retryFailed: true }), ['1']);
+
+  await storage.markEntryFailed('1', 'Timeout');
+  assert.strictEqual((await getEntry(storage, '1')).attempts, 2);
+  assert.deepStrictEqual(await pendingIds(storage, { maxAttempts: 2 }), ['3']);
+  storage.close();
+});
+
+test('a failure after the timesheet was created keeps its Kimai ID', async () => {
+  const storage = await openStorage();
+  await storage.storeHarvestEntries([harvestEntry(1)]);
+
+  await storage.markEntryFailed('1', 'Meta field rejected', { kimaiId: '10' });
+  await storage.markEntryFailed('1', 'Timeout');
+
+  assert.strictEqual((await getEntry(storage, '1')).kimai_id, '10');
+  storage.close();
+});
+
+test('clearing a state puts its entries back to pending with a clean slate', async () => {
+  const storage = await openStorage();
+  await storage.storeHarvestEntries([harvestEntry(1), harvestEntry(2)]);
+  await storage.markEntryFailed('1', 'Invalid activity', { permanent: true });
+  await storage.markEntrySkipped('2', 'Missing project or activity mapping');
+
+  assert.strictEqual(await storage.clearEntryState(EntryState.FAILED_PERMANENT), 1);
+
+  const entry = await getEntry(storage, '1');
+  assert.strictEqual(entry.status, EntryState.PENDING);
+  assert.strictEqual(entry.attempts, 0);
+  assert.strictEqual(entry.last_error, null);
+  assert.strictEqual((await getEntry(storage, '2')).status, EntryState.SKIPPED_UNMAPPED);
+  storage.close();
+});
+
+test('exported entries are left out of later imports', async () => {
+  const storage = await openStorage();
+  await storage.storeHarvestEntries([harvestEntry(1), harvestEntry(2)]);
+
+  await storage.markEntriesExported(['1']);
+
+  assert.deepStrictEqual(await pendingIds(storage), ['2']);
+  storage.close();
+});
+
+test('state counts cover every state and the date range', async () => {
+  const storage = await openStorage();
+  await storage.storeHarvestEntries([harvestEntry(1), harvestEntry(2), harvestEntry(3, { spent_date: '2024-04-01' })]);
+  await storage.markAsImported('1', 10);
+
+  const counts = await storage.getStateCounts({ from: '2024-03-01', to: '2024-03-31' });
+
+  assert.deepStrictEqual(Object.keys(counts).sort(), Object.values(EntryState).sort());
+  assert.strictEqual(counts[EntryState.IMPORTED], 1);
+  assert.strictEqual(counts[EntryState.PENDING], 1);
+  storage.close();
+});
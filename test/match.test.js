@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { openStorage } = require('./helpers');
+const TaskMatcher = require('../src/utils/match');
+
+const THRESHOLDS = { autoAccept: 0.9, review: 0.6 };
+
+/**
+ * Store Harvest tasks and Kimai activities and match them
+ * @param {Storage} storage - Storage to match in
+ * @param {Array<String>} taskNames - Harvest task names
+ * @param {Array<Object>} activities - Kimai activities as returned by the API
+ * @returns {Promise<{matched: number, unmatched: number, review: number}>} Match result
+ */
+async function match(storage, taskNames, activities) {
+  await storage.storeTasks(taskNames.map((name, index) => ({ id: index + 1, name, is_active: true })));
+  await storage.storeKimaiActivities(activities);
+  return storage.matchTasksWithActivities(THRESHOLDS);
+}
+
+test('names are compared ignoring case, punctuation and ampersands', () => {
+  assert.strictEqual(TaskMatcher.similarity('Design & Build', 'design and build'), 1);
+  assert.strictEqual(TaskMatcher.similarity('Development', ''), 0);
+  assert.ok(TaskMatcher.similarity('Development', 'Developmnet') > 0.8);
+  assert.ok(TaskMatcher.similarity('Development', 'Accounting') < 0.6);
+});
+
+test('activities are scored without their parent title and ranked best first', () => {
+  const activities = [
+    { kimai_activity_id: '1', task_name: 'Meetings', parent_title: '' },
+    { kimai_activity_id: '2', task_name: 'Alpha: Development', parent_title: 'Alpha' }
+  ];
+
+  const [best, ...others] = TaskMatcher.rankActivities('Development', activities);
+
+  assert.strictEqual(best.activity.kimai_activity_id, '2');
+  assert.strictEqual(best.score, 1);
+  assert.ok(others.every(candidate => candidate.score < best.score));
+});
+
+test('a clear best match is accepted automatically', async () => {
+  const storage = await openStorage();
+
+  const result = await match(storage, ['Development'], [
+    { id: 1, name: 'Development', project: null },
+    { id: 2, name: 'Meetings', project: null }
+  ]);
+
+  const [task] = await storage.getTasks();
+  assert.strictEqual(result.matched, 1);
+  assert.strictEqual(task.kimai_activity_id, '1');
+  assert.deepStrictEqual(await storage.getMatchReviews(), []);
+  storage.close();
+});
+
+test('a tie for the best match goes to review with every tied candidate', async () => {
+  const storage = await openStorage();
+
+  const result = await match(storage, ['Development'], [
+    { id: 1, name: 'Development', project: 11, parentTitle: 'Alpha' },
+    { id: 2, name: 'Development', project: 12, parentTitle: 'Beta' },
+    { id: 3, name: 'Development', project: 13, parentTitle: 'Gamma' },
+    { id: 4, name: 'Development', project: 14, parentTitle: 'Delta' }
+  ]);
+
+  const [task] = await storage.getTasks();
+  const reviews = await storage.getMatchReviews();
+  assert.strictEqual(result.matched, 0);
+  assert.strictEqual(task.kimai_activity_id, null);
+  assert.deepStrictEqual(reviews.map(review => review.kimai_activity_id).sort(), ['1', '2', '3', '4']);
+  storage.close();
+});
+
+test('approving a suggestion maps the task and drops the other suggestions', async () => {
+  const storage = await openStorage();
+  await match(storage, ['Development'], [
+    { id: 1, name: 'Development', project: 11, parentTitle: 'Alpha' },
+    { id: 2, name: 'Development', project: 12, parentTitle: 'Beta' }
+  ]);
+  const [suggestion] = await storage.getMatchReviews();
+
+  await storage.approveMatchReview(suggestion.id);
+
+  const mapping = await storage.getTaskMapping('Development');
+  assert.strictEqual(mapping.kimai_activity_id, suggestion.kimai_activity_id);
+  assert.strictEqual(mapping.source, 'review');
+  assert.deepStrictEqual(await storage.getMatchReviews(), []);
+  storage.close();
+});
+
+test('uncertain matches are suggested, and rejected ones not again', async () => {
+  const storage = await openStorage();
+  const activities = [{ id: 1, name: 'Software Development', project: null }];
+  await match(storage, ['Development'], activities);
+  const [suggestion] = await storage.getMatchReviews();
+  assert.strictEqual(suggestion.kimai_activity_id, '1');
+
+  await storage.rejectMatchReview(suggestion.id);
+  await storage.truncateTasks();
+  await storage.truncateKimaiTasks();
+  const result = await match(storage, ['Development'], activities);
+
+  assert.strictEqual(result.review, 0);
+  assert.deepStrictEqual(await storage.getMatchReviews(), []);
+  storage.close();
+});
@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { openStorage, useNewDatabase, getEntry } = require('./helpers');
+const Storage = require('../src/db/storage');
+const migrations = require('../src/db/migrations');
+
+const LATEST = migrations[migrations.length - 1].version;
+
+test('a new database gets every migration in order', async () => {
+  const storage = await openStorage();
+
+  const status = await storage.getSchemaStatus();
+  assert.deepStrictEqual(status.map(migration => migration.version), migrations.map(migration => migration.version));
+  assert.ok(status.every(migration => migration.status === 'applied' && migration.applied_at));
+  assert.deepStrictEqual(await storage.migrate(), []);
+
+  storage.close();
+});
+
+test('two connections opening a new database at once apply each migration once', async () => {
+  useNewDatabase();
+  const first = new Storage();
+  const second = new Storage();
+
+  await Promise.all([first.ready, second.ready]);
+
+  const versions = await first.queryAll(`SELECT version FROM schema_version ORDER BY version`);
+  assert.deepStrictEqual(versions.map(row => row.version), migrations.map(migration => migration.version));
+  first.close();
+  second.close();
+});
+
+test('migrations are versioned one after the other', () => {
+  migrations.forEach((migration, index) => {
+    assert.strictEqual(migration.version, index + 1);
+    assert.ok(migration.name);
+  });
+});
+
+test('a database from before migrations is upgraded and keeps its entries', async () => {
+  const storage = await openStorage({ migrate: false });
+  await storage.execute(`
+    CREATE TABLE time_entries (
+      id INTEGER PRIMARY KEY, harvest_id TEXT UNIQUE, kimai_id TEXT, date TEXT, client TEXT, project TEXT,
+      task TEXT, notes TEXT, hours REAL, started_time TEXT, ended_time TEXT, imported INTEGER DEFAULT 0, created_at TEXT
+    )
+  `);
+  await storage.execute(`CREATE TABLE tasks (id INTEGER PRIMARY KEY, harvest_id TEXT UNIQUE, name TEXT, is_active BOOLEAN, created_at TEXT, updated_at TEXT)`);
+  await storage.execute(`INSERT INTO time_entries (harvest_id, kimai_id, date, imported) VALUES ('1', '10', '2024-03-04', 1), ('2', NULL, '2024-03-04', 0)`);
+
+  const applied = await storage.migrate();
+
+  assert.strictEqual(applied.length, LATEST);
+  assert.strictEqual((await getEntry(storage, '1')).status, 'imported');
+  assert.strictEqual((await getEntry(storage, '1')).kimai_id, '10');
+  assert.strictEqual((await getEntry(storage, '2')).status, 'pending');
+  assert.ok(!('imported' in await getEntry(storage, '1')));
+
+  const columns = (await storage.queryAll(`PRAGMA table_info(tasks)`)).map(column => column.name);
+  assert.ok(columns.includes('kimai_activity_id'));
+  assert.ok(columns.includes('match_score'));
+
+  storage.close();
+});
+
+test('entries deleted before the lifecycle states existed become deleted', async () => {
+  const storage = await openStorage({ migrate: false });
+  await storage.execute(`CREATE TABLE schema_version (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT NOT NULL)`);
+  for (const migration of migrations.filter(migration => migration.version < 7)) {
+    await migration.up(storage);
+    await storage.execute(`INSERT INTO schema_version VALUES (?, ?, ?)`, [migration.version, migration.name, new Date().toISOString()]);
+  }
+  await storage.execute(`INSERT INTO time_entries (harvest_id, date, imported, deleted_at) VALUES ('1', '2024-03-04', 1, '2024-03-05T00:00:00Z')`);
+
+  await storage.migrate();
+
+  assert.strictEqual((await getEntry(storage, '1')).status, 'deleted');
+  storage.close();
+});
+
+test('a database from a newer version of the tool is refused', async () => {
+  const storage = await openStorage();
+  await storage.execute(`INSERT INTO schema_version (version, name, applied_at) VALUES (?, 'From the future', ?)`, [LATEST + 1, new Date().toISOString()]);
+
+  await assert.rejects(storage.migrate(), /newer than this tool supports/);
+  storage.close();
+});
+
+test('a failing migration is rolled back', async () => {
+  const storage = await openStorage({ migrate: false });
+  await storage.migrate();
+  await storage.execute(`DELETE FROM schema_version WHERE version = ?`, [LATEST]);
+  // Let the last migration fail after it already changed the schema
+  const last = migrations[migrations.length - 1];
+  const up = last.up;
+  last.up = async (target) => {
+    await target.execute(`CREATE TABLE half_done (id INTEGER)`);
+    throw new Error('Boom');
+  };
+
+  try {
+    await assert.rejects(storage.migrate(), new RegExp(`Migration ${LATEST} \\(${last.name}\\) failed: Boom`));
+  } finally {
+    last.up = up;
+  }
+
+  assert.deepStrictEqual(await storage.queryAll(`SELECT name FROM sqlite_master WHERE name = 'half_done'`), []);
+  assert.strictEqual((await storage.getSchemaStatus()).find(migration => migration.version === LATEST).status, 'pending');
+  storage.close();
+});
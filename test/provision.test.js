@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { openStorage, harvestEntry } = require('./helpers');
+const KimaiProvisioner = require('../src/kimai/provision');
+
+/**
+ * Kimai API double that records what is created
+ * @param {Object} records - Existing customers, projects and activities
+ * @returns {Object} Fake API
+ */
+function fakeApi({ customers = [], projects = [], activities = [] } = {}) {
+  let nextId = 100;
+  const create = (list) => async (record) => {
+    const created = { id: nextId++, ...record };
+    list.push(created);
+    return created;
+  };
+
+  const created = { customers: [], projects: [], activities: [] };
+  return {
+    created,
+    getCustomers: async () => [...customers],
+    getProjects: async () => [...projects],
+    getActivities: async () => [...activities],
+    createCustomer: create(created.customers),
+    createProject: create(created.projects),
+    createActivity: create(created.activities)
+  };
+}
+
+test('missing customers, projects and activities are created and mapped', async () => {
+  const storage = await openStorage();
+  const api = fakeApi();
+  await storage.storeHarvestEntries([harvestEntry(1)]);
+
+  const created = await new KimaiProvisioner(api, storage).ensureMappings(await storage.getAllPendingEntries());
+
+  assert.deepStrictEqual(created, { customers: 1, projects: 1, activities: 1 });
+  const [entry] = await storage.getAllPendingEntries();
+  assert.strictEqual(entry.kimai_project_id, api.created.projects[0].id.toString());
+  assert.strictEqual(entry.kimai_activity_id, api.created.activities[0].id.toString());
+  storage.close();
+});
+
+test('existing records with the same name are reused', async () => {
+  const storage = await openStorage();
+  const api = fakeApi({
+    customers: [{ id: 1, name: 'ACME' }],
+    projects: [{ id: 2, name: 'website', customer: 1 }],
+    activities: [{ id: 3, name: 'Development', project: null }]
+  });
+  await storage.storeHarvestEntries([harvestEntry(1)]);
+
+  const created = await new KimaiProvisioner(api, storage).ensureMappings(await storage.getAllPendingEntries());
+
+  assert.deepStrictEqual(created, { customers: 0, projects: 0, activities: 0 });
+  const [entry] = await storage.getAllPendingEntries();
+  assert.strictEqual(entry.kimai_project_id, '2');
+  assert.strictEqual(entry.kimai_activity_id, '3');
+  storage.close();
+});
+
+test('entries whose activity brings its project get no new project', async () => {
+  const storage = await openStorage();
+  const api = fakeApi();
+  await storage.storeHarvestEntries([harvestEntry(1)]);
+  await storage.setTaskMapping('Development', '20', '30');
+
+  const created = await new KimaiProvisioner(api, storage).ensureMappings(await storage.getAllPendingEntries());
+
+  assert.deepStrictEqual(created, { customers: 0, projects: 0, activities: 0 });
+  const [entry] = await storage.getAllPendingEntries();
+  assert.strictEqual(entry.kimai_project_id, '20');
+  assert.strictEqual(entry.kimai_activity_id, '30');
+  assert.strictEqual(await storage.getProjectMapping('Acme', 'Website'), undefined);
+  storage.close();
+});
+
+test('a dry run creates and maps nothing', async () => {
+  const storage = await openStorage();
+  const api = fakeApi();
+  await storage.storeHarvestEntries([harvestEntry(1)]);
+
+  const created = await new KimaiProvisioner(api, storage).ensureMappings(await storage.getAllPendingEntries(), { dryRun: true });
+
+  assert.deepStrictEqual(created, { customers: 1, projects: 1, activities: 1 });
+  assert.deepStrictEqual(api.created, { customers: [], projects: [], activities: [] });
+  const [entry] = await storage.getAllPendingEntries();
+  assert.strictEqual(entry.kimai_project_id, null);
+  storage.close();
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useNewDatabase, harvestEntry, getEntry } = require('./helpers');
+const KimaiReconciler = require('../src/kimai/reconcile');
+const Storage = require('../src/db/storage');
+
+const { EntryState } = Storage;
+
+/**
+ * Build a reconciler on a new database holding the given entries, whose Kimai API returns
+ * the given timesheets
+ * @param {Array<Object>} entries - Time entries from Harvest
+ * @param {Array<Object>} timesheets - Timesheets in Kimai
+ * @returns {Promise<KimaiReconciler>} Reconciler
+ */
+async function createReconciler(entries, timesheets) {
+  useNewDatabase();
+  const reconciler = new KimaiReconciler();
+
+  reconciler.api = { getTimesheets: async () => timesheets };
+  await reconciler.storage.ready;
+  await reconciler.storage.storeHarvestEntries(entries);
+  return reconciler;
+}
+
+/**
+ * Build a Kimai timesheet carrying the marker of a Harvest entry
+ * @param {Number} id - Kimai timesheet ID
+ * @param {Number} harvestId - Harvest entry ID
+ * @returns {Object} Timesheet as returned by the Kimai API
+ */
+function markedTimesheet(id, harvestId) {
+  return { id, begin: '2024-03-04T09:00:00+00:00', end: '2024-03-04T10:00:00+00:00', tags: [`harvest:${harvestId}`] };
+}
+
+test('entries found by their marker are restored as imported', async () => {
+  const reconciler = await createReconciler([harvestEntry(1)], [markedTimesheet(55, 1)]);
+
+  const summary = await reconciler.reconcile('2024-03-04', '2024-03-04');
+
+  assert.strictEqual(summary.restored, 1);
+  const entry = await getEntry(reconciler.storage, '1');
+  assert.strictEqual(entry.status, EntryState.IMPORTED);
+  assert.strictEqual(entry.kimai_id, '55');
+  assert.strictEqual(entry.attempts, 0);
+  reconciler.storage.close();
+});
+
+test('entries deleted in Harvest stay deleted when relinked, so their timesheet is still handled', async () => {
+  const reconciler = await createReconciler([harvestEntry(1)], [markedTimesheet(55, 1)]);
+  await reconciler.storage.markDeletedEntries('2024-03-04', '2024-03-04', ['0']);
+
+  await reconciler.reconcile('2024-03-04', '2024-03-04');
+
+  const entry = await getEntry(reconciler.storage, '1');
+  assert.strictEqual(entry.status, EntryState.DELETED);
+  assert.strictEqual(entry.kimai_id, '55');
+  assert.deepStrictEqual((await reconciler.storage.getDeletedEntries()).map(deleted => deleted.harvest_id), ['1']);
+  reconciler.storage.close();
+});
+
+test('entries waiting to push a change stay queued when relinked', async () => {
+  const reconciler = await createReconciler([harvestEntry(1)], [markedTimesheet(55, 1)]);
+  await reconciler.storage.markAsImported('1', 10);
+  await reconciler.storage.storeHarvestEntries([harvestEntry(1, { hours: 2 })]);
+
+  await reconciler.reconcile('2024-03-04', '2024-03-04');
+
+  const entry = await getEntry(reconciler.storage, '1');
+  assert.strictEqual(entry.status, EntryState.PENDING);
+  assert.strictEqual(entry.kimai_id, '55');
+  assert.deepStrictEqual((await reconciler.storage.getAllPendingEntries()).map(pending => pending.harvest_id), ['1']);
+  reconciler.storage.close();
+});